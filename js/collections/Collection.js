@@ -36,11 +36,21 @@ Collection.prototype.add = function (key, object) {
  * @param key The key corresponding to the item to remove
  */
 Collection.prototype.remove = function (key) {
-    if (this.objects.hasOwnProperty(key)) {
+    if (Object.prototype.hasOwnProperty.call(this.objects, key)) {
         this.objects[key] = undefined;
     }
 };
 
+/**
+ * Removes an item and its key from the collection, so that collections with frequently changing keys do not keep
+ * growing
+ *
+ * @param key The key corresponding to the item to delete
+ */
+Collection.prototype.deleteKey = function (key) {
+    delete this.objects[key];
+};
+
 /**
  * Gets the object with the specified key
  *
@@ -48,7 +58,7 @@ Collection.prototype.remove = function (key) {
  * @returns {*} The object if found, otherwise null
  */
 Collection.prototype.get = function (key) {
-    if (this.objects.hasOwnProperty(key) && this.objects[key] != undefined) {
+    if (Object.prototype.hasOwnProperty.call(this.objects, key) && this.objects[key] != undefined) {
         return this.objects[key];
     } else {
         return null;
@@ -62,5 +72,20 @@ Collection.prototype.get = function (key) {
  * @returns {boolean} True if the key and corresponding object exist, otherwise false
  */
 Collection.prototype.hasKey = function (key) {
-    return this.objects.hasOwnProperty(key) && this.objects[key] != undefined;
+    return Object.prototype.hasOwnProperty.call(this.objects, key) && this.objects[key] != undefined;
+};
+
+/**
+ * Gets all of the keys that are associated with an object
+ *
+ * @returns {Array} The keys in the collection
+ */
+Collection.prototype.keys = function () {
+    var keys = [];
+    for (var key in this.objects) {
+        if (this.hasKey(key)) {
+            keys.push(key);
+        }
+    }
+    return keys;
 };
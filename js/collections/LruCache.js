@@ -0,0 +1,141 @@
+/**
+ * Represents a cache that holds a limited number of entries.  When the cache is full, the least recently used entry
+ * is evicted.  Entries expire after a time to live but are kept until evicted so that stale values can still be
+ * retrieved.
+ *
+ * @param {number} maxEntries The maximum number of entries
+ * @param {number} ttl The amount of time (ms) an entry stays fresh, or 0 for entries that never expire
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var LruCache = function (maxEntries, ttl) {
+    this.entries = new Collection();
+    this.keys = [];
+    if (maxEntries > 0) {
+        this.maxEntries = maxEntries;
+    }
+    if (ttl > 0) {
+        this.ttl = ttl;
+    }
+};
+
+/**
+ * The entries in the cache, keyed by their keys
+ *
+ * @type {Collection|null}
+ */
+LruCache.prototype.entries = null;
+
+/**
+ * The keys of the entries ordered from least to most recently used
+ *
+ * @type {Array}
+ */
+LruCache.prototype.keys = [];
+
+/**
+ * The maximum number of entries
+ *
+ * @type {number}
+ */
+LruCache.prototype.maxEntries = 100;
+
+/**
+ * The amount of time (ms) an entry stays fresh, or 0 for entries that never expire
+ *
+ * @type {number}
+ */
+LruCache.prototype.ttl = 0;
+
+/**
+ * Stores the value with the specified key, evicting the least recently used entry if the cache is full
+ *
+ * @param {string} key The key to store the value with
+ * @param value The value to store
+ */
+LruCache.prototype.set = function (key, value) {
+    this.remove(key);
+    this.entries.add(key, {value: value, storedAt: Date.now()});
+    this.keys.push(key);
+    // Evict the least recently used entries
+    while (this.keys.length > this.maxEntries) {
+        this.entries.deleteKey(this.keys.shift());
+    }
+};
+
+/**
+ * Gets the entry with the specified key regardless of whether it has expired and marks it as recently used
+ *
+ * @param {string} key The key of the entry
+ * @returns {{value: *, storedAt: number}|null} The entry if found, otherwise null
+ */
+LruCache.prototype.getEntry = function (key) {
+    var entry = this.entries.get(key);
+    if (entry == null) {
+        return null;
+    }
+
+    // Move the key to the most recently used position
+    this.keys.splice(this.keys.indexOf(key), 1);
+    this.keys.push(key);
+    return entry;
+};
+
+/**
+ * Gets the value with the specified key if it has not expired
+ *
+ * @param {string} key The key of the value
+ * @returns {*} The value if found and fresh, otherwise null
+ */
+LruCache.prototype.get = function (key) {
+    var entry = this.getEntry(key);
+    return entry != null && this.isFresh(entry) ? entry.value : null;
+};
+
+/**
+ * Determines if the specified entry has not expired
+ *
+ * @param {{value: *, storedAt: number}} entry The entry
+ * @returns {boolean} True if the entry is still fresh, otherwise false
+ */
+LruCache.prototype.isFresh = function (entry) {
+    return this.ttl <= 0 || Date.now() - entry.storedAt < this.ttl;
+};
+
+/**
+ * Removes the entry with the specified key
+ *
+ * @param {string} key The key of the entry
+ */
+LruCache.prototype.remove = function (key) {
+    if (this.entries.hasKey(key)) {
+        this.entries.deleteKey(key);
+        this.keys.splice(this.keys.indexOf(key), 1);
+    }
+};
+
+/**
+ * Removes all entries whose keys match the specified pattern.  All entries are removed if no pattern is given.
+ *
+ * @param {string|RegExp|function|null} pattern A string the keys start with, a RegExp the keys match or a function
+ * that receives a key and returns true if it should be removed
+ */
+LruCache.prototype.invalidate = function (pattern) {
+    var keys = this.keys.slice();
+    for (var i = 0; i < keys.length; i++) {
+        var isMatch;
+        if (pattern == null) {
+            isMatch = true;
+        } else if (pattern instanceof RegExp) {
+            // Searching does not depend on the lastIndex of global patterns
+            isMatch = keys[i].search(pattern) !== -1;
+        } else if (typeof pattern === "function") {
+            isMatch = pattern(keys[i]);
+        } else {
+            isMatch = keys[i].indexOf(pattern) === 0;
+        }
+        if (isMatch) {
+            this.remove(keys[i]);
+        }
+    }
+};
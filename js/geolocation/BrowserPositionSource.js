@@ -0,0 +1,93 @@
+/**
+ * Provides positions to a Geolocator from the browser's Geolocation API.  This is the default position source.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var BrowserPositionSource = function () {
+
+};
+
+/**
+ * Determines if the Geolocation API is available
+ *
+ * @returns {boolean}
+ */
+BrowserPositionSource.prototype.isAvailable = function () {
+    return typeof navigator !== "undefined" && "geolocation" in navigator;
+};
+
+/**
+ * Requests the current position once
+ *
+ * @param {function} successCallback Executes with the position
+ * @param {function} errorCallback Executes with the PositionError
+ * @param {object} options The PositionOptions
+ */
+BrowserPositionSource.prototype.getCurrentPosition = function (successCallback, errorCallback, options) {
+    navigator.geolocation.getCurrentPosition(successCallback, errorCallback, options);
+};
+
+/**
+ * Continuously listens for position updates
+ *
+ * @param {function} successCallback Executes with each position
+ * @param {function} errorCallback Executes with each PositionError
+ * @param {object} options The PositionOptions
+ * @returns {number} The watch ID
+ */
+BrowserPositionSource.prototype.watchPosition = function (successCallback, errorCallback, options) {
+    return navigator.geolocation.watchPosition(successCallback, errorCallback, options);
+};
+
+/**
+ * Stops listening for position updates
+ *
+ * @param {number} watchId The watch ID returned by watchPosition
+ */
+BrowserPositionSource.prototype.clearWatch = function (watchId) {
+    navigator.geolocation.clearWatch(watchId);
+};
+
+/**
+ * Executes the callback after the specified amount of time
+ *
+ * @param {function} callback The callback
+ * @param {number} delay The amount of time (ms) to wait
+ * @returns {number} The timeout ID
+ */
+BrowserPositionSource.prototype.setTimeout = function (callback, delay) {
+    return window.setTimeout(callback, delay);
+};
+
+/**
+ * Cancels a timeout
+ *
+ * @param {number} timeoutId The timeout ID returned by setTimeout
+ */
+BrowserPositionSource.prototype.clearTimeout = function (timeoutId) {
+    window.clearTimeout(timeoutId);
+};
+
+/**
+ * Gets the current time
+ *
+ * @returns {number} The current time (ms)
+ */
+BrowserPositionSource.prototype.now = function () {
+    return Date.now();
+};
+
+/**
+ * Queries the Permissions API for the geolocation permission
+ *
+ * @returns {Promise|null} Resolves with the PermissionStatus, or null if the Permissions API is not available
+ */
+BrowserPositionSource.prototype.queryPermission = function () {
+    if (typeof navigator === "undefined" || navigator.permissions == null
+        || typeof navigator.permissions.query !== "function") {
+        return null;
+    }
+
+    return navigator.permissions.query({name: 'geolocation'});
+};
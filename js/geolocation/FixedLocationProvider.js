@@ -0,0 +1,63 @@
+/**
+ * Provides a fixed default location, such as the center of the area the site serves.  Used as the last fallback
+ * provider by the Geolocator when the Geolocation API is not available or fails.
+ *
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @param {number} accuracy How far (m) the user may be from the location
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var FixedLocationProvider = function (lat, lng, accuracy) {
+    this.lat = lat;
+    this.lng = lng;
+    if (accuracy != null) {
+        this.accuracy = accuracy;
+    }
+};
+
+/**
+ * The name of the provider that is reported as the source of its positions
+ *
+ * @type {string}
+ */
+FixedLocationProvider.prototype.name = "fixed";
+
+/**
+ * The latitude
+ *
+ * @type {number|null}
+ */
+FixedLocationProvider.prototype.lat = null;
+
+/**
+ * The longitude
+ *
+ * @type {number|null}
+ */
+FixedLocationProvider.prototype.lng = null;
+
+/**
+ * How far (m) the user may be from the location
+ *
+ * @type {number}
+ */
+FixedLocationProvider.prototype.accuracy = 50000;
+
+/**
+ * Provides the fixed location
+ *
+ * @param {function} successCallback Executes with the position
+ */
+FixedLocationProvider.prototype.getPosition = function (successCallback) {
+    successCallback({
+        lat: this.lat,
+        lng: this.lng,
+        accuracy: this.accuracy,
+        altitude: null,
+        altitudeAccuracy: null,
+        heading: null,
+        speed: null,
+        timestamp: Date.now()
+    });
+};
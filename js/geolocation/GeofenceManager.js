@@ -0,0 +1,333 @@
+/**
+ * Tracks whether positions are inside of circle and polygon regions and executes callbacks when a region is entered,
+ * exited or dwelled in.  To keep inaccurate positions near a boundary from repeatedly entering and exiting a region,
+ * a position must be further outside of the boundary than a margin based on its accuracy to exit it.  The margin is
+ * not applied when entering, since a region smaller than the accuracy could otherwise never be entered.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var GeofenceManager = function () {
+    this.regions = new Collection();
+    this.regionStates = new Collection();
+};
+
+/**
+ * The regions keyed by ID
+ *
+ * @type {Collection|null}
+ */
+GeofenceManager.prototype.regions = null;
+
+/**
+ * Whether the position is inside of each region, when it was entered and the dwell timeout, keyed by region ID
+ *
+ * @type {Collection|null}
+ */
+GeofenceManager.prototype.regionStates = null;
+
+/**
+ * The smallest distance (m) a position must be outside of a boundary to exit the region
+ *
+ * @type {number}
+ */
+GeofenceManager.prototype.minimumMargin = 10;
+
+/**
+ * Multiplied by the accuracy (m) of a position to determine how far it must be outside of a boundary to exit the
+ * region
+ *
+ * @type {number}
+ */
+GeofenceManager.prototype.accuracyMarginRatio = 1;
+
+/**
+ * The amount of time (ms) a position must stay inside of a region before onDwellCallback is executed.  Set to 0 to
+ * disable dwell events.  Can be overridden by each region.
+ *
+ * @type {number}
+ */
+GeofenceManager.prototype.dwellTime = 0;
+
+/**
+ * Callback that executes with the region and position when a region is entered
+ *
+ * @type {function|null}
+ */
+GeofenceManager.prototype.onEnterCallback = null;
+
+/**
+ * Callback that executes with the region and position when a region is exited
+ *
+ * @type {function|null}
+ */
+GeofenceManager.prototype.onExitCallback = null;
+
+/**
+ * Callback that executes with the region and the position it was entered at once the dwell time has passed
+ *
+ * @type {function|null}
+ */
+GeofenceManager.prototype.onDwellCallback = null;
+
+/**
+ * Adds a circle region.  A region with the same ID is replaced.
+ *
+ * @param id The ID of the region
+ * @param {number} lat The latitude of the center
+ * @param {number} lng The longitude of the center
+ * @param {number} radius The radius (m)
+ * @param {object} options The dwellTime (ms) of the region and any data to keep with it
+ * @returns {object} The region
+ */
+GeofenceManager.prototype.addCircle = function (id, lat, lng, radius, options) {
+    if (!isFinite(lat) || !isFinite(lng)) {
+        throw new TypeError("The center of the circle '" + id + "' must be a latitude and longitude.");
+    }
+    if (!(radius > 0)) {
+        throw new RangeError("The radius of the circle '" + id + "' must be greater than 0.");
+    }
+
+    return this.addRegion({
+        id: id,
+        type: "circle",
+        center: {lat: lat, lng: lng},
+        radius: radius
+    }, options);
+};
+
+/**
+ * Adds a polygon region.  A region with the same ID is replaced.
+ *
+ * @param id The ID of the region
+ * @param {Array} paths The vertices of the polygon.  Each has a lat and lng property.
+ * @param {object} options The dwellTime (ms) of the region and any data to keep with it
+ * @returns {object} The region
+ */
+GeofenceManager.prototype.addPolygon = function (id, paths, options) {
+    if (!Array.isArray(paths) || paths.length < 3) {
+        throw new RangeError("The polygon '" + id + "' must have at least 3 vertices.");
+    }
+
+    return this.addRegion({
+        id: id,
+        type: "polygon",
+        paths: paths.slice()
+    }, options);
+};
+
+/**
+ * Adds a region and starts tracking it from an unknown state
+ *
+ * @param {object} region The region
+ * @param {object} options The dwellTime (ms) of the region and any data to keep with it
+ * @returns {object} The region
+ */
+GeofenceManager.prototype.addRegion = function (region, options) {
+    options = options || {};
+    region.dwellTime = options.dwellTime != null ? options.dwellTime : null;
+    region.data = options.data != null ? options.data : null;
+
+    this.removeRegion(region.id);
+    this.regions.add(region.id, region);
+    this.regionStates.add(region.id, {isInside: null, enteredAt: null, dwellTimeoutId: null});
+    return region;
+};
+
+/**
+ * Removes the region with the specified ID without executing onExitCallback
+ *
+ * @param id The ID of the region
+ */
+GeofenceManager.prototype.removeRegion = function (id) {
+    var state = this.regionStates.get(id);
+    if (state != null) {
+        clearTimeout(state.dwellTimeoutId);
+    }
+    this.regions.remove(id);
+    this.regionStates.remove(id);
+};
+
+/**
+ * Removes all of the regions
+ */
+GeofenceManager.prototype.clearRegions = function () {
+    var keys = this.regions.keys();
+    for (var i = 0; i < keys.length; i++) {
+        this.removeRegion(keys[i]);
+    }
+};
+
+/**
+ * Gets the region with the specified ID
+ *
+ * @param id The ID of the region
+ * @returns {object|null} The region if found, otherwise null
+ */
+GeofenceManager.prototype.getRegion = function (id) {
+    return this.regions.get(id);
+};
+
+/**
+ * Gets all of the regions
+ *
+ * @returns {Array} The regions
+ */
+GeofenceManager.prototype.getRegions = function () {
+    var keys = this.regions.keys();
+    var regions = [];
+    for (var i = 0; i < keys.length; i++) {
+        regions.push(this.regions.get(keys[i]));
+    }
+    return regions;
+};
+
+/**
+ * Determines if the last position was inside of the region with the specified ID
+ *
+ * @param id The ID of the region
+ * @returns {boolean|null} True if inside, false if outside or null if it is not known yet
+ */
+GeofenceManager.prototype.isInside = function (id) {
+    var state = this.regionStates.get(id);
+    return state != null ? state.isInside : null;
+};
+
+/**
+ * Checks the specified position against each region and executes the enter and exit callbacks.  A position inside of
+ * a region enters it, while a position outside of a region only exits it once it is beyond the margin.
+ *
+ * @param {object} position The position with a lat, lng and optionally the accuracy (m) and timestamp (ms)
+ */
+GeofenceManager.prototype.update = function (position) {
+    var margin = Math.max(this.minimumMargin, (position.accuracy || 0) * this.accuracyMarginRatio);
+    var keys = this.regions.keys();
+    for (var i = 0; i < keys.length; i++) {
+        var region = this.regions.get(keys[i]);
+        var state = this.regionStates.get(keys[i]);
+        var distance = GeofenceManager.distanceToBoundary(region, position.lat, position.lng);
+        if (distance <= 0 && state.isInside !== true) {
+            this.enter(region, state, position);
+        } else if (distance >= margin && state.isInside !== false) {
+            this.exit(region, state, position);
+        }
+    }
+};
+
+/**
+ * Marks the region as entered, executes onEnterCallback and starts waiting for the dwell time
+ *
+ * @param {object} region The region
+ * @param {object} state The state of the region
+ * @param {object} position The position that entered the region
+ */
+GeofenceManager.prototype.enter = function (region, state, position) {
+    state.isInside = true;
+    state.enteredAt = position.timestamp != null ? position.timestamp : Date.now();
+    if (typeof this.onEnterCallback === "function") {
+        this.onEnterCallback(region, position);
+    }
+
+    var dwellTime = region.dwellTime != null ? region.dwellTime : this.dwellTime;
+    if (dwellTime > 0) {
+        state.dwellTimeoutId = setTimeout(function () {
+            state.dwellTimeoutId = null;
+            if (typeof this.onDwellCallback === "function") {
+                this.onDwellCallback(region, position);
+            }
+        }.bind(this), dwellTime);
+    }
+};
+
+/**
+ * Marks the region as exited and executes onExitCallback.  A position that starts outside of a region does not
+ * count as exiting it.
+ *
+ * @param {object} region The region
+ * @param {object} state The state of the region
+ * @param {object} position The position that exited the region
+ */
+GeofenceManager.prototype.exit = function (region, state, position) {
+    var wasInside = state.isInside === true;
+    state.isInside = false;
+    state.enteredAt = null;
+    clearTimeout(state.dwellTimeoutId);
+    state.dwellTimeoutId = null;
+    if (wasInside && typeof this.onExitCallback === "function") {
+        this.onExitCallback(region, position);
+    }
+};
+
+/**
+ * Calculates the distance from the specified coordinates to the boundary of the region
+ *
+ * @param {object} region The circle or polygon region
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @returns {number} The distance (m), which is negative inside of the region
+ */
+GeofenceManager.distanceToBoundary = function (region, lat, lng) {
+    if (region.type === "circle") {
+        return Geolocator.distanceBetween(region.center.lat, region.center.lng, lat, lng) - region.radius;
+    }
+
+    var distance = GeofenceManager.distanceToPath(region.paths, lat, lng);
+    return GeofenceManager.isInsidePolygon(region.paths, lat, lng) ? -distance : distance;
+};
+
+/**
+ * Determines if the specified coordinates are inside of the polygon by casting a ray and counting the edges it
+ * crosses
+ *
+ * @param {Array} paths The vertices of the polygon
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @returns {boolean} True if inside, otherwise false
+ */
+GeofenceManager.isInsidePolygon = function (paths, lat, lng) {
+    var isInside = false;
+    for (var i = 0, j = paths.length - 1; i < paths.length; j = i++) {
+        if ((paths[i].lat > lat) !== (paths[j].lat > lat)
+            && lng < (paths[j].lng - paths[i].lng) * (lat - paths[i].lat) / (paths[j].lat - paths[i].lat)
+            + paths[i].lng) {
+            isInside = !isInside;
+        }
+    }
+    return isInside;
+};
+
+/**
+ * Calculates the distance from the specified coordinates to the nearest edge of the polygon.  The edges are projected
+ * onto a plane around the coordinates, which is accurate for regions up to a few hundred kilometers across.
+ *
+ * @param {Array} paths The vertices of the polygon
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @returns {number} The distance (m)
+ */
+GeofenceManager.distanceToPath = function (paths, lat, lng) {
+    // Project the vertices to meters relative to the coordinates
+    var metersPerDegree = Geolocator.EARTH_RADIUS * Math.PI / 180;
+    var cos = Math.cos(lat * Math.PI / 180);
+    var points = [];
+    for (var i = 0; i < paths.length; i++) {
+        points.push({
+            x: (paths[i].lng - lng) * metersPerDegree * cos,
+            y: (paths[i].lat - lat) * metersPerDegree
+        });
+    }
+
+    // Find the nearest point on each edge to the origin
+    var minimum = Infinity;
+    for (var j = 0, k = points.length - 1; j < points.length; k = j++) {
+        var dx = points[j].x - points[k].x;
+        var dy = points[j].y - points[k].y;
+        var lengthSquared = dx * dx + dy * dy;
+        var t = lengthSquared > 0 ? -(points[k].x * dx + points[k].y * dy) / lengthSquared : 0;
+        t = Math.min(Math.max(t, 0), 1);
+        var x = points[k].x + t * dx;
+        var y = points[k].y + t * dy;
+        minimum = Math.min(minimum, Math.sqrt(x * x + y * y));
+    }
+    return minimum;
+};
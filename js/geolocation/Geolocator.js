@@ -2,11 +2,15 @@
  * Uses the Geolocation API to aid in finding the user location.  Allows callbacks to be set at different
  * stages of the Geolocation permission process.
  *
+ * @param positionSource The source of positions, timeouts and the permission state.  Defaults to a
+ * BrowserPositionSource.
  * @constructor
  * @author Brett Namba (https://github.com/bretten)
  */
-var Geolocator = function () {
-
+var Geolocator = function (positionSource) {
+    this.positionSource = positionSource || new BrowserPositionSource();
+    this.fallbackProviders = [];
+    this.queryPermission();
 };
 
 /**
@@ -18,6 +22,14 @@ Geolocator.prototype.options = {
     enableHighAccuracy: true
 };
 
+/**
+ * The source of positions, timeouts and the permission state, such as a BrowserPositionSource or a
+ * SimulatedPositionSource
+ *
+ * @type {BrowserPositionSource|SimulatedPositionSource|null}
+ */
+Geolocator.prototype.positionSource = null;
+
 /**
  * The watch ID that is returned when indefinitely listening for location updates
  *
@@ -25,6 +37,34 @@ Geolocator.prototype.options = {
  */
 Geolocator.prototype.watchId = null;
 
+/**
+ * The state of the geolocation permission.  One of the Geolocator.PERMISSION_* constants.
+ *
+ * @type {string}
+ */
+Geolocator.prototype.permissionState = "unknown";
+
+/**
+ * The PermissionStatus returned by the Permissions API
+ *
+ * @type {PermissionStatus|null}
+ */
+Geolocator.prototype.permissionStatus = null;
+
+/**
+ * The listener for changes to the PermissionStatus
+ *
+ * @type {function|null}
+ */
+Geolocator.prototype.permissionChangeListener = null;
+
+/**
+ * The ID of the timeout that executes onPermissionTimeoutCallback
+ *
+ * @type {number|null}
+ */
+Geolocator.prototype.permissionTimeoutId = null;
+
 /**
  * The current latitude
  *
@@ -39,6 +79,80 @@ Geolocator.prototype.lat = null;
  */
 Geolocator.prototype.lng = null;
 
+/**
+ * The current position including the accuracy (m), altitude (m), altitude accuracy (m), heading (degrees), speed
+ * (m/s), timestamp (ms) and the source that provided it
+ *
+ * @type {object|null}
+ */
+Geolocator.prototype.position = null;
+
+/**
+ * The last position received from the Geolocation API.  Unlike the current position, it is kept when a new location
+ * request is made.
+ *
+ * @type {object|null}
+ */
+Geolocator.prototype.lastKnownPosition = null;
+
+/**
+ * The providers that are tried in order when the Geolocation API is not available or fails.  Each provider has a name
+ * and a getPosition(successCallback, errorCallback) method.
+ *
+ * @type {Array|null}
+ */
+Geolocator.prototype.fallbackProviders = null;
+
+/**
+ * Incremented on each fallback request so that positions from superseded fallback requests can be ignored
+ *
+ * @type {number}
+ */
+Geolocator.prototype.fallbackSequence = 0;
+
+/**
+ * Flag to determine if the last position is saved to localStorage and reported as a cached position when a new
+ * location request is made
+ *
+ * @type {boolean}
+ */
+Geolocator.prototype.persistPosition = false;
+
+/**
+ * The localStorage key that holds the saved position
+ *
+ * @type {string}
+ */
+Geolocator.prototype.savedPositionStorageKey = "Geolocator.lastPosition";
+
+/**
+ * Saved positions that are older (ms) than this are discarded.  Set to 0 to keep saved positions of any age.
+ *
+ * @type {number}
+ */
+Geolocator.prototype.savedPositionMaximumAge = 86400000;
+
+/**
+ * Positions whose accuracy (m) is worse than this are ignored.  Set to 0 to accept any accuracy.
+ *
+ * @type {number}
+ */
+Geolocator.prototype.maximumAccuracy = 0;
+
+/**
+ * Positions that are older (ms) than this are ignored.  Set to 0 to accept positions of any age.
+ *
+ * @type {number}
+ */
+Geolocator.prototype.maximumPositionAge = 0;
+
+/**
+ * Positions that are closer (m) than this to the current position are ignored.  Set to 0 to accept every position.
+ *
+ * @type {number}
+ */
+Geolocator.prototype.minimumDistance = 0;
+
 /**
  * The amount of time (ms) to wait after the geolocation permission prompt is displayed before executing the
  * onPermissionTimeoutCallback method
@@ -68,6 +182,13 @@ Geolocator.prototype.onPermissionTimeoutCallback = null;
  */
 Geolocator.prototype.onPositionUpdateCallback = null;
 
+/**
+ * Callback that executes when a previously granted geolocation permission is revoked
+ *
+ * @type {function|null}
+ */
+Geolocator.prototype.onPermissionRevokedCallback = null;
+
 /**
  * Callback that executes on an error
  *
@@ -117,7 +238,81 @@ Geolocator.prototype.errorMessageGeolocationNotAvailable = "Geolocation is not a
  * @returns {boolean}
  */
 Geolocator.prototype.isGeolocationAvailable = function () {
-    return "geolocation" in navigator;
+    return this.positionSource.isAvailable();
+};
+
+/**
+ * Determines if the user has not yet answered the geolocation permission prompt
+ *
+ * @returns {boolean}
+ */
+Geolocator.prototype.isPermissionUnanswered = function () {
+    return this.permissionState === Geolocator.PERMISSION_UNKNOWN
+        || this.permissionState === Geolocator.PERMISSION_PROMPT;
+};
+
+/**
+ * Queries the Permissions API for the geolocation permission and listens for changes to it.  Without the Permissions
+ * API the state is inferred from the responses of the Geolocation API.
+ */
+Geolocator.prototype.queryPermission = function () {
+    var query = this.positionSource.queryPermission();
+    if (query == null) {
+        return;
+    }
+
+    query.then(function (permissionStatus) {
+        this.stopPermissionListener();
+        this.permissionStatus = permissionStatus;
+        this.permissionChangeListener = function () {
+            this.setPermissionState(permissionStatus.state);
+        }.bind(this);
+        permissionStatus.addEventListener('change', this.permissionChangeListener);
+        this.setPermissionState(permissionStatus.state);
+    }.bind(this))["catch"](function () {
+        // Some browsers do not recognize the geolocation permission, so keep inferring the state
+    });
+};
+
+/**
+ * Stops listening for changes to the PermissionStatus
+ */
+Geolocator.prototype.stopPermissionListener = function () {
+    if (this.permissionStatus != null) {
+        this.permissionStatus.removeEventListener('change', this.permissionChangeListener);
+    }
+    this.permissionStatus = null;
+    this.permissionChangeListener = null;
+};
+
+/**
+ * Sets the state of the geolocation permission.  Once the prompt is answered the permission timeout is cancelled,
+ * and if a granted permission is taken away the location updates are stopped and onPermissionRevokedCallback is
+ * executed.  The saved position is removed whenever the permission is denied.
+ *
+ * @param {string} state One of the Geolocator.PERMISSION_* constants
+ */
+Geolocator.prototype.setPermissionState = function (state) {
+    var previousState = this.permissionState;
+    this.permissionState = state;
+    if (!this.isPermissionUnanswered()) {
+        this.clearPermissionTimeout();
+    }
+
+    var isRevoked = previousState === Geolocator.PERMISSION_GRANTED && state !== Geolocator.PERMISSION_GRANTED;
+    if (isRevoked) {
+        if (this.watchId != null) {
+            this.stopListening();
+        }
+        this.clearCurrentPosition();
+    }
+    // The user does not allow their location to be used, so do not keep it either
+    if (state === Geolocator.PERMISSION_DENIED || (isRevoked && this.persistPosition)) {
+        this.clearSavedPosition();
+    }
+    if (isRevoked && typeof this.onPermissionRevokedCallback === "function") {
+        this.onPermissionRevokedCallback(state);
+    }
 };
 
 /**
@@ -135,14 +330,16 @@ Geolocator.prototype.isCurrentPositionAvailable = function () {
 Geolocator.prototype.clearCurrentPosition = function () {
     this.lat = null;
     this.lng = null;
+    this.position = null;
 };
 
 /**
  * Stops the Geolocation API from receiving further location updates and clears out the watch ID
  */
 Geolocator.prototype.stopListening = function () {
-    navigator.geolocation.clearWatch(this.watchId);
+    this.positionSource.clearWatch(this.watchId);
     this.watchId = null;
+    this.clearPermissionTimeout();
 };
 
 /**
@@ -151,14 +348,17 @@ Geolocator.prototype.stopListening = function () {
 Geolocator.prototype.listenForPositionUpdates = function () {
     if (!this.isGeolocationAvailable()) {
         this.executeErrorCallback(this.errorMessageGeolocationNotAvailable);
+        this.requestFallbackPosition();
         return;
     }
 
     // Execute the onRequestPositionUpdate callback
     this.executeOnRequestPositionCallback();
+    // Report the saved position until the live position arrives
+    this.reportSavedPosition();
 
     // Continuously listen for position updates and keep track of the watch ID
-    this.watchId = navigator.geolocation.watchPosition(
+    this.watchId = this.positionSource.watchPosition(
         this.onPositionUpdate.bind(this), this.onError.bind(this), this.options);
 
     // Execute the executePermissionTimeout callback
@@ -171,14 +371,17 @@ Geolocator.prototype.listenForPositionUpdates = function () {
 Geolocator.prototype.getCurrentPosition = function () {
     if (!this.isGeolocationAvailable()) {
         this.executeErrorCallback(this.errorMessageGeolocationNotAvailable);
+        this.requestFallbackPosition();
         return;
     }
 
     // Execute the onRequestPositionUpdate callback
     this.executeOnRequestPositionCallback();
+    // Report the saved position until the live position arrives
+    this.reportSavedPosition();
 
     // Get the current position only once
-    navigator.geolocation.getCurrentPosition(
+    this.positionSource.getCurrentPosition(
         this.onPositionUpdate.bind(this), this.onError.bind(this), this.options);
 
     // Execute the executePermissionTimeout callback
@@ -186,16 +389,62 @@ Geolocator.prototype.getCurrentPosition = function () {
 };
 
 /**
- * Called when the location is successfully returned from the Geolocation API
+ * Called when the location is successfully returned from the Geolocation API.  Positions that do not pass the
+ * accuracy, age and distance filters are ignored.
  *
  * @param position The current position
+ * @param {string} source The source of the position.  Defaults to "geolocation".  Positions from other sources, such
+ * as the "replay" of a TrackRecorder, do not change the permission state and are not persisted.
  */
-Geolocator.prototype.onPositionUpdate = function (position) {
+Geolocator.prototype.onPositionUpdate = function (position, source) {
+    var isLive = source == null || source === "geolocation";
+    // A position can only be returned once the permission is granted
+    if (isLive) {
+        this.setPermissionState(Geolocator.PERMISSION_GRANTED);
+    }
+
+    position = Geolocator.toPosition(position, this.positionSource.now());
+    if (!isLive) {
+        position.source = source;
+    }
+    if (!this.isPositionAccepted(position)) {
+        return;
+    }
+
+    // A live position supersedes any fallback request in progress
+    this.fallbackSequence++;
     // Get the latitude and longitude
-    this.lat = position.coords.latitude;
-    this.lng = position.coords.longitude;
+    this.lat = position.lat;
+    this.lng = position.lng;
+    this.position = position;
+    this.lastKnownPosition = position;
+    if (this.persistPosition && isLive) {
+        Geolocator.savePosition(this.savedPositionStorageKey, position);
+    }
     // Execute the onPositionUpdate callback
-    this.executeOnPositionUpdateCallback(this.lat, this.lng);
+    this.executeOnPositionUpdateCallback(this.lat, this.lng, this.position);
+};
+
+/**
+ * Determines if the specified position passes the accuracy, age and distance filters
+ *
+ * @param position The position
+ * @returns {boolean} True if the position should be used, otherwise false
+ */
+Geolocator.prototype.isPositionAccepted = function (position) {
+    if (this.maximumAccuracy > 0 && position.accuracy > this.maximumAccuracy) {
+        return false;
+    }
+    if (this.maximumPositionAge > 0 && this.positionSource.now() - position.timestamp > this.maximumPositionAge) {
+        return false;
+    }
+    // Only compare against positions from the same source so a cached or fallback position is always replaced
+    if (this.minimumDistance > 0 && this.position != null && this.position.source === position.source
+        && Geolocator.distanceBetween(
+            this.position.lat, this.position.lng, position.lat, position.lng) < this.minimumDistance) {
+        return false;
+    }
+    return true;
 };
 
 /**
@@ -207,23 +456,162 @@ Geolocator.prototype.onError = function (error) {
     // Determine the error message
     var errorMessage = "";
     if (error.code == error.PERMISSION_DENIED) {
+        this.setPermissionState(Geolocator.PERMISSION_DENIED);
         errorMessage = this.errorMessagePermissionDenied;
     } else if (error.code == error.POSITION_UNAVAILABLE) {
+        // The position can only be unavailable or time out once the permission is granted
+        this.setPermissionState(Geolocator.PERMISSION_GRANTED);
         errorMessage = this.errorMessagePositionUnavailable;
     } else if (error.code == error.TIMEOUT) {
+        this.setPermissionState(Geolocator.PERMISSION_GRANTED);
         errorMessage = this.errorMessageTimeout;
     } else {
         errorMessage = this.errorMessageGeneral;
     }
     // Execute the callback
     this.executeErrorCallback(errorMessage);
+    // Fall back to the other providers unless there already is a position
+    if (!this.isCurrentPositionAvailable()) {
+        this.requestFallbackPosition();
+    }
+};
+
+/**
+ * Starts saving the last position to localStorage.  The saved position from a previous page load is restored as the
+ * last known position and is reported as a cached position whenever a new location request is made.
+ *
+ * @param {number} maximumAge Saved positions that are older (ms) than this are discarded.  Set to 0 to keep saved
+ * positions of any age.
+ */
+Geolocator.prototype.enablePositionPersistence = function (maximumAge) {
+    this.persistPosition = true;
+    if (maximumAge != null) {
+        this.savedPositionMaximumAge = maximumAge;
+    }
+
+    var position = this.getSavedPosition();
+    if (position != null && this.lastKnownPosition == null) {
+        this.lastKnownPosition = position;
+    }
+};
+
+/**
+ * Stops saving the last position.  The saved position stays in localStorage until clearSavedPosition is called.
+ */
+Geolocator.prototype.disablePositionPersistence = function () {
+    this.persistPosition = false;
+};
+
+/**
+ * Gets the saved position if it is recent enough
+ *
+ * @returns {object|null} The saved position or null if there is none
+ */
+Geolocator.prototype.getSavedPosition = function () {
+    var position = Geolocator.loadPosition(this.savedPositionStorageKey);
+    if (position == null || !isFinite(position.lat) || !isFinite(position.lng)) {
+        return null;
+    }
+    if (this.savedPositionMaximumAge > 0
+        && this.positionSource.now() - position.timestamp > this.savedPositionMaximumAge) {
+        return null;
+    }
+    return position;
+};
+
+/**
+ * Removes the saved position from localStorage and forgets the last known position
+ */
+Geolocator.prototype.clearSavedPosition = function () {
+    try {
+        window.localStorage.removeItem(this.savedPositionStorageKey);
+    } catch (e) {
+        // Storage is unavailable, so there is nothing saved
+    }
+    this.lastKnownPosition = null;
+};
+
+/**
+ * Reports the saved position as the current position, with its source set to "cached", if persistence is enabled,
+ * the geolocation permission has not been denied and the saved position is recent enough
+ *
+ * @returns {boolean} True if a saved position was reported, otherwise false
+ */
+Geolocator.prototype.reportSavedPosition = function () {
+    if (!this.persistPosition || this.permissionState === Geolocator.PERMISSION_DENIED) {
+        return false;
+    }
+    var position = this.getSavedPosition();
+    if (position == null) {
+        return false;
+    }
+
+    position.source = "cached";
+    this.lat = position.lat;
+    this.lng = position.lng;
+    this.position = position;
+    this.executeOnPositionUpdateCallback(this.lat, this.lng, this.position);
+    return true;
+};
+
+/**
+ * Adds a provider that is tried when the Geolocation API is not available or fails
+ *
+ * @param provider An object with a name and a getPosition(successCallback, errorCallback) method
+ */
+Geolocator.prototype.addFallbackProvider = function (provider) {
+    this.fallbackProviders.push(provider);
+};
+
+/**
+ * Tries each fallback provider in order until one provides a position.  The position is reported like a position from
+ * the Geolocation API, with its source set to the name of the provider.
+ *
+ * @returns {boolean} True if there were fallback providers to try, otherwise false
+ */
+Geolocator.prototype.requestFallbackPosition = function () {
+    if (this.fallbackProviders.length === 0) {
+        return false;
+    }
+
+    var sequence = ++this.fallbackSequence;
+    var isCurrent = function () {
+        return sequence === this.fallbackSequence;
+    }.bind(this);
+    var tryProvider = function (index) {
+        if (!isCurrent() || index >= this.fallbackProviders.length) {
+            return;
+        }
+        var provider = this.fallbackProviders[index];
+        provider.getPosition(function (providedPosition) {
+            if (!isCurrent()) {
+                return;
+            }
+            // Copy the position so the provider's own data is not changed
+            var position = {};
+            for (var key in providedPosition) {
+                if (providedPosition.hasOwnProperty(key)) {
+                    position[key] = providedPosition[key];
+                }
+            }
+            position.source = provider.name;
+            this.lat = position.lat;
+            this.lng = position.lng;
+            this.position = position;
+            this.executeOnPositionUpdateCallback(this.lat, this.lng, this.position);
+        }.bind(this), function () {
+            tryProvider(index + 1);
+        });
+    }.bind(this);
+    tryProvider(0);
+    return true;
 };
 
 /**
  * Executes onRequestPositionCallback
  */
 Geolocator.prototype.executeOnRequestPositionCallback = function () {
-    if ($.isFunction(this.onRequestPositionCallback)) {
+    if (typeof this.onRequestPositionCallback === "function") {
         this.onRequestPositionCallback();
     }
 };
@@ -233,26 +621,42 @@ Geolocator.prototype.executeOnRequestPositionCallback = function () {
  *
  * @param lat The latitude value from the location update
  * @param lng The longitude value from the location update
+ * @param position The full position from the location update
  */
-Geolocator.prototype.executeOnPositionUpdateCallback = function (lat, lng) {
-    if ($.isFunction(this.onPositionUpdateCallback)) {
-        this.onPositionUpdateCallback(lat, lng);
+Geolocator.prototype.executeOnPositionUpdateCallback = function (lat, lng, position) {
+    if (typeof this.onPositionUpdateCallback === "function") {
+        this.onPositionUpdateCallback(lat, lng, position);
     }
 };
 
 /**
- * Executes onPositionUpdateCallback
+ * Executes onPermissionTimeoutCallback after the specified amount of time if the user still has not answered the
+ * geolocation permission prompt
  *
  * @param timeout The amount of time to wait (ms) before executing the callback
  */
 Geolocator.prototype.executePermissionTimeoutCallback = function (timeout) {
-    if (this.permissionTimeout > 0 && $.isFunction(this.onPositionUpdateCallback)) {
+    this.clearPermissionTimeout();
+    if (timeout > 0 && typeof this.onPermissionTimeoutCallback === "function" && this.isPermissionUnanswered()) {
         // Wrap callback in function to be passed to setTimeout
         var executeCallback = function () {
-            this.onPermissionTimeoutCallback();
+            this.permissionTimeoutId = null;
+            if (this.isPermissionUnanswered()) {
+                this.onPermissionTimeoutCallback();
+            }
         }.bind(this);
         // Run the callback after the interval
-        setTimeout(executeCallback, timeout);
+        this.permissionTimeoutId = this.positionSource.setTimeout(executeCallback, timeout);
+    }
+};
+
+/**
+ * Cancels the pending execution of onPermissionTimeoutCallback
+ */
+Geolocator.prototype.clearPermissionTimeout = function () {
+    if (this.permissionTimeoutId != null) {
+        this.positionSource.clearTimeout(this.permissionTimeoutId);
+        this.permissionTimeoutId = null;
     }
 };
 
@@ -262,7 +666,110 @@ Geolocator.prototype.executePermissionTimeoutCallback = function (timeout) {
  * @param errorMessage The error message to display
  */
 Geolocator.prototype.executeErrorCallback = function (errorMessage) {
-    if ($.isFunction(this.onErrorCallback)) {
+    if (typeof this.onErrorCallback === "function") {
         this.onErrorCallback(errorMessage);
     }
 };
+
+/**
+ * The permission state before the Geolocation or Permissions API has responded
+ *
+ * @type {string}
+ */
+Geolocator.PERMISSION_UNKNOWN = "unknown";
+
+/**
+ * The permission state while the user has not answered the permission prompt
+ *
+ * @type {string}
+ */
+Geolocator.PERMISSION_PROMPT = "prompt";
+
+/**
+ * The permission state once the user has allowed access to their location
+ *
+ * @type {string}
+ */
+Geolocator.PERMISSION_GRANTED = "granted";
+
+/**
+ * The permission state once the user has denied access to their location
+ *
+ * @type {string}
+ */
+Geolocator.PERMISSION_DENIED = "denied";
+
+/**
+ * Loads a saved position from localStorage
+ *
+ * @param {string} storageKey The localStorage key that holds the position
+ * @returns {object|null} The position or null if there is none
+ */
+Geolocator.loadPosition = function (storageKey) {
+    try {
+        return JSON.parse(window.localStorage.getItem(storageKey));
+    } catch (e) {
+        // Storage is unavailable or the value is corrupt
+        return null;
+    }
+};
+
+/**
+ * Saves a position to localStorage
+ *
+ * @param {string} storageKey The localStorage key that holds the position
+ * @param {object} position The position to save
+ */
+Geolocator.savePosition = function (storageKey, position) {
+    try {
+        window.localStorage.setItem(storageKey, JSON.stringify(position));
+    } catch (e) {
+        // Storage is unavailable or full, so the position is only kept while the page is open
+    }
+};
+
+/**
+ * The mean radius (m) of the Earth
+ *
+ * @type {number}
+ */
+Geolocator.EARTH_RADIUS = 6371008.8;
+
+/**
+ * Converts a position from the Geolocation API into a plain object that keeps all of its data
+ *
+ * @param position The position from the Geolocation API
+ * @param {number} now The current time (ms), used as the timestamp if the position does not have one
+ * @returns {object} The lat, lng, accuracy, altitude, altitudeAccuracy, heading, speed, timestamp and source
+ */
+Geolocator.toPosition = function (position, now) {
+    return {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        altitude: position.coords.altitude != null ? position.coords.altitude : null,
+        altitudeAccuracy: position.coords.altitudeAccuracy != null ? position.coords.altitudeAccuracy : null,
+        heading: position.coords.heading != null && !isNaN(position.coords.heading) ? position.coords.heading : null,
+        speed: position.coords.speed != null ? position.coords.speed : null,
+        timestamp: position.timestamp != null ? position.timestamp : now,
+        source: "geolocation"
+    };
+};
+
+/**
+ * Calculates the great-circle distance between two coordinates using the haversine formula
+ *
+ * @param {number} lat1 The latitude of the first coordinate
+ * @param {number} lng1 The longitude of the first coordinate
+ * @param {number} lat2 The latitude of the second coordinate
+ * @param {number} lng2 The longitude of the second coordinate
+ * @returns {number} The distance (m)
+ */
+Geolocator.distanceBetween = function (lat1, lng1, lat2, lng2) {
+    var toRadians = Math.PI / 180;
+    var dLat = (lat2 - lat1) * toRadians;
+    var dLng = (lng2 - lng1) * toRadians;
+    var a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+        + Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 2 * Geolocator.EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
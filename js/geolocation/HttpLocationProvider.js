@@ -0,0 +1,104 @@
+/**
+ * Provides an approximate location, such as one based on the IP address, from a HTTP endpoint.  Used as a fallback
+ * provider by the Geolocator when the Geolocation API is not available or fails.
+ *
+ * @param {string} url The endpoint that returns the location as JSON
+ * @param {FetchTransport|JqueryTransport} transport The transport that sends the request.  Defaults to FetchTransport.
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var HttpLocationProvider = function (url, transport) {
+    this.url = url;
+    this.transport = transport || new FetchTransport();
+};
+
+/**
+ * The name of the provider that is reported as the source of its positions
+ *
+ * @type {string}
+ */
+HttpLocationProvider.prototype.name = "http";
+
+/**
+ * The endpoint that returns the location as JSON
+ *
+ * @type {string|null}
+ */
+HttpLocationProvider.prototype.url = null;
+
+/**
+ * The transport that sends the request
+ *
+ * @type {FetchTransport|JqueryTransport|null}
+ */
+HttpLocationProvider.prototype.transport = null;
+
+/**
+ * The accuracy (m) reported when the response does not include one.  IP based locations are usually only accurate
+ * to the city.
+ *
+ * @type {number}
+ */
+HttpLocationProvider.prototype.defaultAccuracy = 25000;
+
+/**
+ * Callback that receives the response data and returns an object with the lat, lng and optionally the accuracy (m).
+ * By default, the lat/latitude, lng/lon/longitude and accuracy properties of the response are used.
+ *
+ * @type {function|null}
+ */
+HttpLocationProvider.prototype.responseMapper = null;
+
+/**
+ * Requests the location from the endpoint
+ *
+ * @param {function} successCallback Executes with the position
+ * @param {function} errorCallback Executes with the error message if the request fails or the response has no location
+ */
+HttpLocationProvider.prototype.getPosition = function (successCallback, errorCallback) {
+    this.transport.send({
+        type: 'GET',
+        url: this.url,
+        dataType: 'json',
+        success: (function (data) {
+            var location = typeof this.responseMapper === "function"
+                ? this.responseMapper(data)
+                : HttpLocationProvider.mapResponse(data);
+            if (location == null || !isFinite(location.lat) || !isFinite(location.lng)) {
+                errorCallback("The location response did not contain a latitude and longitude.");
+                return;
+            }
+            successCallback({
+                lat: Number(location.lat),
+                lng: Number(location.lng),
+                accuracy: location.accuracy > 0 ? Number(location.accuracy) : this.defaultAccuracy,
+                altitude: null,
+                altitudeAccuracy: null,
+                heading: null,
+                speed: null,
+                timestamp: Date.now()
+            });
+        }).bind(this),
+        error: function (jqXHR, textStatus, errorThrown) {
+            errorCallback(errorThrown || textStatus);
+        }
+    });
+};
+
+/**
+ * The default response mapper
+ *
+ * @param data The response data
+ * @returns {object|null} The lat, lng and accuracy of the response
+ */
+HttpLocationProvider.mapResponse = function (data) {
+    if (data == null || typeof data !== "object") {
+        return null;
+    }
+
+    return {
+        lat: data.lat != null ? data.lat : data.latitude,
+        lng: data.lng != null ? data.lng : (data.lon != null ? data.lon : data.longitude),
+        accuracy: data.accuracy
+    };
+};
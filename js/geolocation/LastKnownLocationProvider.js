@@ -0,0 +1,52 @@
+/**
+ * Provides the last position that a Geolocator received.  Used as a fallback provider by the Geolocator when the
+ * Geolocation API is not available or fails.
+ *
+ * @param {Geolocator} geolocator The Geolocator whose last position is provided
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var LastKnownLocationProvider = function (geolocator) {
+    this.geolocator = geolocator;
+};
+
+/**
+ * The name of the provider that is reported as the source of its positions
+ *
+ * @type {string}
+ */
+LastKnownLocationProvider.prototype.name = "lastKnown";
+
+/**
+ * The Geolocator whose last position is provided
+ *
+ * @type {Geolocator|null}
+ */
+LastKnownLocationProvider.prototype.geolocator = null;
+
+/**
+ * Positions that are older (ms) than this are not provided.  Set to 0 to provide positions of any age.
+ *
+ * @type {number}
+ */
+LastKnownLocationProvider.prototype.maximumAge = 0;
+
+/**
+ * Provides the last known position
+ *
+ * @param {function} successCallback Executes with the position
+ * @param {function} errorCallback Executes with the error message if there is no recent enough position
+ */
+LastKnownLocationProvider.prototype.getPosition = function (successCallback, errorCallback) {
+    var position = this.geolocator.lastKnownPosition;
+    if (position == null) {
+        errorCallback("There is no last known location.");
+        return;
+    }
+    if (this.maximumAge > 0 && this.geolocator.positionSource.now() - position.timestamp > this.maximumAge) {
+        errorCallback("The last known location is too old.");
+        return;
+    }
+
+    successCallback(position);
+};
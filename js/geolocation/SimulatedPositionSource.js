@@ -0,0 +1,331 @@
+/**
+ * Provides scripted positions and errors to a Geolocator on a virtual clock, so the Geolocator and GoogleMap can be
+ * exercised without a browser or a GPS.  Time only moves when advance is called, which runs the scripted events and
+ * the Geolocator's timeouts in order.
+ *
+ * @param {number} startTime The virtual time (ms) to start at.  Defaults to the current time.
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var SimulatedPositionSource = function (startTime) {
+    this.currentTime = startTime != null ? startTime : Date.now();
+    this.timers = [];
+    this.requests = [];
+    this.watches = new Collection();
+    this.permissionListeners = [];
+};
+
+/**
+ * The current virtual time (ms)
+ *
+ * @type {number}
+ */
+SimulatedPositionSource.prototype.currentTime = 0;
+
+/**
+ * Flag to determine if the simulated Geolocation API is available
+ *
+ * @type {boolean}
+ */
+SimulatedPositionSource.prototype.isGeolocationAvailable = true;
+
+/**
+ * Flag to determine if the simulated Permissions API is available
+ *
+ * @type {boolean}
+ */
+SimulatedPositionSource.prototype.isPermissionsApiAvailable = true;
+
+/**
+ * The state of the simulated geolocation permission
+ *
+ * @type {string}
+ */
+SimulatedPositionSource.prototype.permissionState = "prompt";
+
+/**
+ * The pending timeouts ordered by the time they run at
+ *
+ * @type {Array|null}
+ */
+SimulatedPositionSource.prototype.timers = null;
+
+/**
+ * The pending getCurrentPosition requests
+ *
+ * @type {Array|null}
+ */
+SimulatedPositionSource.prototype.requests = null;
+
+/**
+ * The active watchPosition requests keyed by watch ID
+ *
+ * @type {Collection|null}
+ */
+SimulatedPositionSource.prototype.watches = null;
+
+/**
+ * The listeners for changes to the simulated PermissionStatus
+ *
+ * @type {Array|null}
+ */
+SimulatedPositionSource.prototype.permissionListeners = null;
+
+/**
+ * The ID given to the next timeout or watch
+ *
+ * @type {number}
+ */
+SimulatedPositionSource.prototype.nextId = 1;
+
+/**
+ * Determines if the simulated Geolocation API is available
+ *
+ * @returns {boolean}
+ */
+SimulatedPositionSource.prototype.isAvailable = function () {
+    return this.isGeolocationAvailable;
+};
+
+/**
+ * Gets the current virtual time
+ *
+ * @returns {number} The current virtual time (ms)
+ */
+SimulatedPositionSource.prototype.now = function () {
+    return this.currentTime;
+};
+
+/**
+ * Requests the current position once.  The request is answered by the next emitted position or error.
+ *
+ * @param {function} successCallback Executes with the position
+ * @param {function} errorCallback Executes with the error
+ */
+SimulatedPositionSource.prototype.getCurrentPosition = function (successCallback, errorCallback) {
+    this.requests.push({successCallback: successCallback, errorCallback: errorCallback});
+};
+
+/**
+ * Continuously listens for the emitted positions and errors
+ *
+ * @param {function} successCallback Executes with each position
+ * @param {function} errorCallback Executes with each error
+ * @returns {number} The watch ID
+ */
+SimulatedPositionSource.prototype.watchPosition = function (successCallback, errorCallback) {
+    var watchId = this.nextId++;
+    this.watches.add(watchId, {successCallback: successCallback, errorCallback: errorCallback});
+    return watchId;
+};
+
+/**
+ * Stops listening for the emitted positions and errors
+ *
+ * @param {number} watchId The watch ID returned by watchPosition
+ */
+SimulatedPositionSource.prototype.clearWatch = function (watchId) {
+    this.watches.remove(watchId);
+};
+
+/**
+ * Executes the callback once the virtual clock has advanced by the specified amount of time
+ *
+ * @param {function} callback The callback
+ * @param {number} delay The amount of time (ms) to wait
+ * @returns {number} The timeout ID
+ */
+SimulatedPositionSource.prototype.setTimeout = function (callback, delay) {
+    var timer = {id: this.nextId++, time: this.currentTime + Math.max(delay || 0, 0), callback: callback};
+    // Keep the timers ordered, running timers with the same time in the order they were added
+    var index = this.timers.length;
+    while (index > 0 && this.timers[index - 1].time > timer.time) {
+        index--;
+    }
+    this.timers.splice(index, 0, timer);
+    return timer.id;
+};
+
+/**
+ * Cancels a timeout
+ *
+ * @param {number} timeoutId The timeout ID returned by setTimeout
+ */
+SimulatedPositionSource.prototype.clearTimeout = function (timeoutId) {
+    for (var i = 0; i < this.timers.length; i++) {
+        if (this.timers[i].id === timeoutId) {
+            this.timers.splice(i, 1);
+            return;
+        }
+    }
+};
+
+/**
+ * Queries the simulated Permissions API
+ *
+ * @returns {Promise|null} Resolves with the simulated PermissionStatus, or null if the Permissions API is not
+ * available
+ */
+SimulatedPositionSource.prototype.queryPermission = function () {
+    if (!this.isPermissionsApiAvailable) {
+        return null;
+    }
+
+    var source = this;
+    return Promise.resolve({
+        get state() {
+            return source.permissionState;
+        },
+        addEventListener: function (type, listener) {
+            source.permissionListeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            var index = source.permissionListeners.indexOf(listener);
+            if (index >= 0) {
+                source.permissionListeners.splice(index, 1);
+            }
+        }
+    });
+};
+
+/**
+ * Changes the state of the simulated permission and notifies the PermissionStatus listeners
+ *
+ * @param {string} state The new state
+ */
+SimulatedPositionSource.prototype.setPermissionState = function (state) {
+    this.permissionState = state;
+    var listeners = this.permissionListeners.slice();
+    for (var i = 0; i < listeners.length; i++) {
+        listeners[i]({type: 'change'});
+    }
+};
+
+/**
+ * Advances the virtual clock, running the timeouts that are due in order
+ *
+ * @param {number} time The amount of time (ms) to advance by
+ */
+SimulatedPositionSource.prototype.advance = function (time) {
+    var end = this.currentTime + time;
+    while (this.timers.length > 0 && this.timers[0].time <= end) {
+        var timer = this.timers.shift();
+        this.currentTime = timer.time;
+        timer.callback();
+    }
+    this.currentTime = end;
+};
+
+/**
+ * Emits a position to the pending requests and the watches immediately
+ *
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @param {object} coords Other coordinates of the position, such as the accuracy, altitude, heading and speed
+ */
+SimulatedPositionSource.prototype.emitPosition = function (lat, lng, coords) {
+    coords = coords || {};
+    var position = {
+        coords: {
+            latitude: lat,
+            longitude: lng,
+            accuracy: coords.accuracy != null ? coords.accuracy : 10,
+            altitude: coords.altitude != null ? coords.altitude : null,
+            altitudeAccuracy: coords.altitudeAccuracy != null ? coords.altitudeAccuracy : null,
+            heading: coords.heading != null ? coords.heading : null,
+            speed: coords.speed != null ? coords.speed : null
+        },
+        timestamp: this.currentTime
+    };
+    this.dispatch("successCallback", position);
+};
+
+/**
+ * Emits an error to the pending requests and the watches immediately
+ *
+ * @param {number} code One of the SimulatedPositionSource error codes
+ * @param {string} message The error message
+ */
+SimulatedPositionSource.prototype.emitError = function (code, message) {
+    this.dispatch("errorCallback", {
+        code: code,
+        message: message || "",
+        PERMISSION_DENIED: SimulatedPositionSource.PERMISSION_DENIED,
+        POSITION_UNAVAILABLE: SimulatedPositionSource.POSITION_UNAVAILABLE,
+        TIMEOUT: SimulatedPositionSource.TIMEOUT
+    });
+};
+
+/**
+ * Emits a position once the virtual clock has advanced by the specified amount of time
+ *
+ * @param {number} delay The amount of time (ms) to wait
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @param {object} coords Other coordinates of the position, such as the accuracy, altitude, heading and speed
+ * @returns {number} The timeout ID
+ */
+SimulatedPositionSource.prototype.schedulePosition = function (delay, lat, lng, coords) {
+    return this.setTimeout(function () {
+        this.emitPosition(lat, lng, coords);
+    }.bind(this), delay);
+};
+
+/**
+ * Emits an error once the virtual clock has advanced by the specified amount of time
+ *
+ * @param {number} delay The amount of time (ms) to wait
+ * @param {number} code One of the SimulatedPositionSource error codes
+ * @param {string} message The error message
+ * @returns {number} The timeout ID
+ */
+SimulatedPositionSource.prototype.scheduleError = function (delay, code, message) {
+    return this.setTimeout(function () {
+        this.emitError(code, message);
+    }.bind(this), delay);
+};
+
+/**
+ * Executes the specified callback of the pending requests, which are then answered, and of the watches
+ *
+ * @param {string} callbackName Either successCallback or errorCallback
+ * @param value The position or error
+ */
+SimulatedPositionSource.prototype.dispatch = function (callbackName, value) {
+    var requests = this.requests;
+    this.requests = [];
+    for (var i = 0; i < requests.length; i++) {
+        if (typeof requests[i][callbackName] === "function") {
+            requests[i][callbackName](value);
+        }
+    }
+    var keys = this.watches.keys();
+    for (var j = 0; j < keys.length; j++) {
+        var watch = this.watches.get(keys[j]);
+        // The watch may have been cleared by a previous callback
+        if (watch != null && typeof watch[callbackName] === "function") {
+            watch[callbackName](value);
+        }
+    }
+};
+
+/**
+ * The error code when the user denies the geolocation permission
+ *
+ * @type {number}
+ */
+SimulatedPositionSource.PERMISSION_DENIED = 1;
+
+/**
+ * The error code when the position cannot be determined
+ *
+ * @type {number}
+ */
+SimulatedPositionSource.POSITION_UNAVAILABLE = 2;
+
+/**
+ * The error code when the position is not determined in time
+ *
+ * @type {number}
+ */
+SimulatedPositionSource.TIMEOUT = 3;
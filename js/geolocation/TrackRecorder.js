@@ -0,0 +1,382 @@
+/**
+ * Records positions into a track, computes its distance and duration, exports and imports it as GPX or a GeoJSON
+ * LineString and replays it through the position updates of a Geolocator.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var TrackRecorder = function () {
+    this.points = [];
+};
+
+/**
+ * The recorded points.  Each has a lat, lng, altitude (m), accuracy (m) and timestamp (ms).
+ *
+ * @type {Array|null}
+ */
+TrackRecorder.prototype.points = null;
+
+/**
+ * Flag to determine if positions are being recorded
+ *
+ * @type {boolean}
+ */
+TrackRecorder.prototype.isRecording = false;
+
+/**
+ * The Geolocator that receives the replayed points
+ *
+ * @type {Geolocator|null}
+ */
+TrackRecorder.prototype.replayGeolocator = null;
+
+/**
+ * The ID of the timeout that replays the next point
+ *
+ * @type {number|null}
+ */
+TrackRecorder.prototype.replayTimeoutId = null;
+
+/**
+ * The amount of time (ms) between replayed points that do not have timestamps
+ *
+ * @type {number}
+ */
+TrackRecorder.prototype.replayInterval = 1000;
+
+/**
+ * Callback that executes with the point when a position is recorded
+ *
+ * @type {function|null}
+ */
+TrackRecorder.prototype.onPointRecordedCallback = null;
+
+/**
+ * Callback that executes when a replay reaches the end of the track
+ *
+ * @type {function|null}
+ */
+TrackRecorder.prototype.onReplayCompleteCallback = null;
+
+/**
+ * Starts recording positions
+ */
+TrackRecorder.prototype.start = function () {
+    this.isRecording = true;
+};
+
+/**
+ * Stops recording positions.  The recorded points are kept.
+ */
+TrackRecorder.prototype.stop = function () {
+    this.isRecording = false;
+};
+
+/**
+ * Removes all of the recorded points
+ */
+TrackRecorder.prototype.clear = function () {
+    this.points = [];
+};
+
+/**
+ * Adds the specified position to the track if recording
+ *
+ * @param {object} position The position with a lat, lng and optionally the altitude (m), accuracy (m) and timestamp
+ * @returns {object|null} The recorded point or null if not recording
+ */
+TrackRecorder.prototype.record = function (position) {
+    if (!this.isRecording) {
+        return null;
+    }
+
+    var point = TrackRecorder.toPoint(position.lat, position.lng, position.altitude, position.timestamp);
+    point.accuracy = position.accuracy != null ? position.accuracy : null;
+    this.points.push(point);
+    if (typeof this.onPointRecordedCallback === "function") {
+        this.onPointRecordedCallback(point);
+    }
+    return point;
+};
+
+/**
+ * Calculates the length of the track
+ *
+ * @returns {number} The distance (m)
+ */
+TrackRecorder.prototype.getDistance = function () {
+    var distance = 0;
+    for (var i = 1; i < this.points.length; i++) {
+        distance += Geolocator.distanceBetween(
+            this.points[i - 1].lat, this.points[i - 1].lng, this.points[i].lat, this.points[i].lng);
+    }
+    return distance;
+};
+
+/**
+ * Calculates the time between the first and last points of the track
+ *
+ * @returns {number} The duration (ms) or 0 if the points do not have timestamps
+ */
+TrackRecorder.prototype.getDuration = function () {
+    if (this.points.length < 2) {
+        return 0;
+    }
+
+    var first = this.points[0].timestamp;
+    var last = this.points[this.points.length - 1].timestamp;
+    return first != null && last != null ? last - first : 0;
+};
+
+/**
+ * Exports the track as a GPX document
+ *
+ * @param {string} name The name of the track
+ * @returns {string} The GPX document
+ */
+TrackRecorder.prototype.exportGpx = function (name) {
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="TrackRecorder" xmlns="http://www.topografix.com/GPX/1/1">',
+        '<trk>'
+    ];
+    if (name != null) {
+        lines.push('<name>' + TrackRecorder.escapeXml(String(name)) + '</name>');
+    }
+    lines.push('<trkseg>');
+    for (var i = 0; i < this.points.length; i++) {
+        var point = this.points[i];
+        var children = "";
+        if (point.altitude != null) {
+            children += '<ele>' + point.altitude + '</ele>';
+        }
+        if (point.timestamp != null) {
+            children += '<time>' + new Date(point.timestamp).toISOString() + '</time>';
+        }
+        lines.push('<trkpt lat="' + point.lat + '" lon="' + point.lng + '">' + children + '</trkpt>');
+    }
+    lines.push('</trkseg>', '</trk>', '</gpx>');
+    return lines.join("\n");
+};
+
+/**
+ * Replaces the track with the points of a GPX document.  The points of all track segments are joined.
+ *
+ * @param {string} gpx The GPX document
+ */
+TrackRecorder.prototype.importGpx = function (gpx) {
+    var xml = new DOMParser().parseFromString(gpx, "application/xml");
+    if (xml.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("The GPX document could not be parsed.");
+    }
+
+    var points = [];
+    var trackPoints = xml.getElementsByTagName("trkpt");
+    for (var i = 0; i < trackPoints.length; i++) {
+        var elevation = trackPoints[i].getElementsByTagName("ele");
+        var time = trackPoints[i].getElementsByTagName("time");
+        points.push(TrackRecorder.toPoint(
+            parseFloat(trackPoints[i].getAttribute("lat")),
+            parseFloat(trackPoints[i].getAttribute("lon")),
+            elevation.length > 0 ? parseFloat(elevation[0].textContent) : null,
+            time.length > 0 ? Date.parse(time[0].textContent) : null
+        ));
+    }
+    this.points = points;
+};
+
+/**
+ * Exports the track as a GeoJSON Feature with a LineString geometry.  The timestamps are kept in the coordTimes
+ * property.
+ *
+ * @returns {object} The GeoJSON Feature
+ */
+TrackRecorder.prototype.exportGeoJson = function () {
+    var coordinates = [];
+    var coordTimes = [];
+    for (var i = 0; i < this.points.length; i++) {
+        var point = this.points[i];
+        coordinates.push(point.altitude != null ? [point.lng, point.lat, point.altitude] : [point.lng, point.lat]);
+        coordTimes.push(point.timestamp != null ? new Date(point.timestamp).toISOString() : null);
+    }
+
+    return {
+        type: "Feature",
+        geometry: {
+            type: "LineString",
+            coordinates: coordinates
+        },
+        properties: {
+            coordTimes: coordTimes
+        }
+    };
+};
+
+/**
+ * Replaces the track with the points of a GeoJSON LineString.  Accepts a LineString geometry, a Feature or the first
+ * LineString Feature of a FeatureCollection, as an object or a JSON string.
+ *
+ * @param {object|string} geoJson The GeoJSON
+ */
+TrackRecorder.prototype.importGeoJson = function (geoJson) {
+    if (typeof geoJson === "string") {
+        geoJson = JSON.parse(geoJson);
+    }
+
+    // Find the LineString
+    var feature = null;
+    if (geoJson != null && geoJson.type === "FeatureCollection") {
+        for (var i = 0; i < geoJson.features.length && feature == null; i++) {
+            if (geoJson.features[i].geometry != null && geoJson.features[i].geometry.type === "LineString") {
+                feature = geoJson.features[i];
+            }
+        }
+    } else if (geoJson != null && geoJson.type === "Feature") {
+        feature = geoJson;
+    } else {
+        feature = {geometry: geoJson, properties: {}};
+    }
+    if (feature == null || feature.geometry == null || feature.geometry.type !== "LineString") {
+        throw new TypeError("The GeoJSON does not contain a LineString.");
+    }
+
+    var coordinates = feature.geometry.coordinates;
+    var coordTimes = feature.properties != null && Array.isArray(feature.properties.coordTimes)
+        ? feature.properties.coordTimes
+        : [];
+    var points = [];
+    for (var j = 0; j < coordinates.length; j++) {
+        points.push(TrackRecorder.toPoint(
+            coordinates[j][1],
+            coordinates[j][0],
+            coordinates[j].length > 2 ? coordinates[j][2] : null,
+            coordTimes[j] != null ? Date.parse(coordTimes[j]) : null
+        ));
+    }
+    this.points = points;
+};
+
+/**
+ * Replays the track through the position updates of the specified Geolocator, so the points pass its filters and
+ * become its last known position.  The points are reported with their source set to "replay", so they do not change
+ * the permission state, are not persisted and are not recorded again.  They are scheduled on the clock of the
+ * Geolocator's position source, re-stamped to the time they are replayed at and keep their original spacing, divided
+ * by the speed.
+ *
+ * @param {Geolocator} geolocator The Geolocator that receives the points
+ * @param {number} speed How many times faster than real time to replay the track.  Defaults to 1.
+ */
+TrackRecorder.prototype.replay = function (geolocator, speed) {
+    this.stopReplay();
+    speed = speed > 0 ? speed : 1;
+    this.replayGeolocator = geolocator;
+    var positionSource = geolocator.positionSource;
+    // Copy the points so recording during the replay does not change what is replayed
+    var points = this.points.slice();
+    var startedAt = positionSource.now();
+    var offsets = TrackRecorder.getOffsets(points, this.replayInterval);
+
+    var replayPoint = function (index) {
+        this.replayTimeoutId = null;
+        if (index >= points.length) {
+            this.replayGeolocator = null;
+            if (typeof this.onReplayCompleteCallback === "function") {
+                this.onReplayCompleteCallback();
+            }
+            return;
+        }
+
+        var point = points[index];
+        geolocator.onPositionUpdate({
+            coords: {
+                latitude: point.lat,
+                longitude: point.lng,
+                accuracy: point.accuracy != null ? point.accuracy : 0,
+                altitude: point.altitude
+            },
+            timestamp: startedAt + offsets[index] / speed
+        }, "replay");
+        if (index + 1 < points.length) {
+            this.replayTimeoutId = positionSource.setTimeout(function () {
+                replayPoint(index + 1);
+            }, (offsets[index + 1] - offsets[index]) / speed);
+        } else {
+            replayPoint(index + 1);
+        }
+    }.bind(this);
+    replayPoint(0);
+};
+
+/**
+ * Stops the replay in progress
+ */
+TrackRecorder.prototype.stopReplay = function () {
+    if (this.replayTimeoutId != null) {
+        this.replayGeolocator.positionSource.clearTimeout(this.replayTimeoutId);
+    }
+    this.replayTimeoutId = null;
+    this.replayGeolocator = null;
+};
+
+/**
+ * Determines if a replay is in progress
+ *
+ * @returns {boolean}
+ */
+TrackRecorder.prototype.isReplaying = function () {
+    return this.replayTimeoutId != null;
+};
+
+/**
+ * Creates a point
+ *
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @param {number|null} altitude The altitude (m)
+ * @param {number|null} timestamp The timestamp (ms)
+ * @returns {object} The point
+ */
+TrackRecorder.toPoint = function (lat, lng, altitude, timestamp) {
+    if (!isFinite(lat) || !isFinite(lng)) {
+        throw new TypeError("Each point of the track must have a latitude and longitude.");
+    }
+
+    return {
+        lat: lat,
+        lng: lng,
+        altitude: altitude != null && !isNaN(altitude) ? altitude : null,
+        accuracy: null,
+        timestamp: timestamp != null && !isNaN(timestamp) ? timestamp : null
+    };
+};
+
+/**
+ * Gets the time (ms) of each point relative to the first point.  Points without timestamps are spaced by the interval.
+ *
+ * @param {Array} points The points
+ * @param {number} interval The time (ms) after the previous point of a point without a timestamp
+ * @returns {Array} The offsets
+ */
+TrackRecorder.getOffsets = function (points, interval) {
+    var offsets = [];
+    for (var i = 0; i < points.length; i++) {
+        if (i === 0) {
+            offsets.push(0);
+        } else if (points[i].timestamp != null && points[i - 1].timestamp != null) {
+            offsets.push(offsets[i - 1] + Math.max(points[i].timestamp - points[i - 1].timestamp, 0));
+        } else {
+            offsets.push(offsets[i - 1] + interval);
+        }
+    }
+    return offsets;
+};
+
+/**
+ * Escapes the characters that have a special meaning in XML
+ *
+ * @param {string} value The value to escape
+ * @returns {string} The escaped value
+ */
+TrackRecorder.escapeXml = function (value) {
+    return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+};
@@ -0,0 +1,55 @@
+/**
+ * Wraps a Promise together with the functions that settle it so it can be resolved or rejected from callbacks
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var Deferred = function () {
+    this.promise = new Promise(function (resolve, reject) {
+        this.resolve = resolve;
+        this.reject = reject;
+    }.bind(this));
+};
+
+/**
+ * The Promise that is settled by this Deferred
+ *
+ * @type {Promise|null}
+ */
+Deferred.prototype.promise = null;
+
+/**
+ * Resolves the Promise with the specified value
+ *
+ * @type {function|null}
+ */
+Deferred.prototype.resolve = null;
+
+/**
+ * Rejects the Promise with the specified reason
+ *
+ * @type {function|null}
+ */
+Deferred.prototype.reject = null;
+
+/**
+ * Rejects the Promise with a reason that callers are not required to handle, such as a request that was aborted or
+ * superseded.  Other rejections are still reported as unhandled if nobody handles them.
+ *
+ * @param reason The reason
+ */
+Deferred.prototype.cancel = function (reason) {
+    this.rejectHandled(reason);
+};
+
+/**
+ * Rejects the Promise without reporting it as unhandled if nobody handles it, such as when the failure was already
+ * reported through an error callback.  Callers that handle the Promise still receive the rejection.
+ *
+ * @param reason The reason
+ */
+Deferred.prototype.rejectHandled = function (reason) {
+    this.promise["catch"](function () {
+    });
+    this.reject(reason);
+};
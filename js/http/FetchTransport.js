@@ -0,0 +1,215 @@
+/**
+ * Sends HTTP requests with the Fetch API.  Accepts the same settings and executes the callbacks with the same
+ * arguments as jQuery.ajax, using a XhrShim in place of the jqXHR.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var FetchTransport = function () {
+
+};
+
+/**
+ * The credentials mode of the requests
+ *
+ * @type {string}
+ */
+FetchTransport.prototype.credentials = "same-origin";
+
+/**
+ * Sends a HTTP request
+ *
+ * @param {object} settings The type, url, data, dataType, contentType, headers and the beforeSend, success, error and
+ * complete callbacks of the request
+ * @returns {XhrShim} The object representing the request
+ */
+FetchTransport.prototype.send = function (settings) {
+    var xhr = new XhrShim();
+    var type = (settings.type || "GET").toUpperCase();
+    var url = settings.url;
+    var body = null;
+    var headers = {"X-Requested-With": "XMLHttpRequest"};
+
+    // Add the data to the query string or the body
+    if (settings.data != null) {
+        var data = typeof settings.data === "string" ? settings.data : FetchTransport.serialize(settings.data);
+        if (type === "GET" || type === "HEAD") {
+            if (data !== "") {
+                url += (url.indexOf("?") < 0 ? "?" : "&") + data;
+            }
+        } else {
+            body = data;
+            headers["Content-Type"] = settings.contentType || "application/x-www-form-urlencoded; charset=UTF-8";
+        }
+    }
+    if (settings.dataType === "json") {
+        headers["Accept"] = "application/json, text/javascript, */*; q=0.01";
+    }
+    for (var name in settings.headers) {
+        if (settings.headers.hasOwnProperty(name)) {
+            headers[name] = settings.headers[name];
+        }
+    }
+
+    // Executes the callbacks once the request has finished.  An exception thrown by a callback would otherwise be
+    // swallowed by the fetch chain, so the complete callback still runs and the exception is rethrown asynchronously.
+    var isDone = false;
+    var done = function (textStatus, data, errorThrown) {
+        if (isDone) {
+            return;
+        }
+        isDone = true;
+        xhr.readyState = 4;
+        var exception = null;
+        try {
+            if (textStatus === "success" || textStatus === "nocontent" || textStatus === "notmodified") {
+                if (typeof settings.success === "function") {
+                    settings.success(data, textStatus, xhr);
+                }
+            } else if (typeof settings.error === "function") {
+                settings.error(xhr, textStatus, errorThrown);
+            }
+        } catch (e) {
+            exception = e;
+        }
+        try {
+            if (typeof settings.complete === "function") {
+                settings.complete(xhr, textStatus);
+            }
+        } catch (e) {
+            exception = exception || e;
+        }
+        if (exception != null) {
+            setTimeout(function () {
+                throw exception;
+            }, 0);
+        }
+    };
+
+    // Aborting cancels the fetch and finishes the request immediately
+    var controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    xhr.onAbort = function () {
+        if (controller != null) {
+            controller.abort();
+        }
+        done("abort", undefined, xhr.statusText);
+    };
+
+    // Let the beforeSend callback add headers or cancel the request, either by returning false or by aborting it.  A
+    // canceled request finishes like an aborted one.
+    if (typeof settings.beforeSend === "function" && settings.beforeSend(xhr, settings) === false) {
+        xhr.abort("canceled");
+    }
+    if (xhr.isAborted) {
+        return xhr;
+    }
+    for (var header in xhr.requestHeaders) {
+        if (xhr.requestHeaders.hasOwnProperty(header)) {
+            headers[header] = xhr.requestHeaders[header];
+        }
+    }
+    xhr.readyState = 1;
+
+    fetch(url, {
+        method: type,
+        headers: headers,
+        body: body,
+        credentials: this.credentials,
+        signal: controller != null ? controller.signal : undefined
+    }).then(function (response) {
+        xhr.status = response.status;
+        xhr.statusText = response.statusText;
+        xhr.responseHeaders = response.headers;
+        return response.text().then(function (text) {
+            xhr.responseText = text;
+            if (!response.ok && response.status !== 304) {
+                done("error", undefined, response.statusText);
+                return;
+            }
+            if (response.status === 204 || type === "HEAD") {
+                done("nocontent", undefined);
+                return;
+            }
+            if (response.status === 304) {
+                done("notmodified", undefined);
+                return;
+            }
+            // Parse the response as JSON if it was requested or if the server says it is JSON
+            var contentType = response.headers.get("Content-Type") || "";
+            var isJson = settings.dataType === "json"
+                || (settings.dataType == null && contentType.indexOf("json") >= 0);
+            if (!isJson) {
+                done("success", text);
+                return;
+            }
+            try {
+                xhr.responseJSON = JSON.parse(text);
+            } catch (e) {
+                done("parsererror", undefined, e);
+                return;
+            }
+            done("success", xhr.responseJSON);
+        });
+    })["catch"](function (e) {
+        done(xhr.isAborted ? "abort" : "error", undefined, e.message);
+    });
+
+    return xhr;
+};
+
+/**
+ * Serializes an object into a form-encoded string
+ *
+ * @param {object} data The object to serialize
+ * @returns {string} The form-encoded string
+ */
+FetchTransport.serialize = function (data) {
+    var pairs = [];
+    for (var key in data) {
+        if (data.hasOwnProperty(key) && data[key] !== undefined) {
+            FetchTransport.serializeParameter(encodeURIComponent(key), data[key] === null ? "" : data[key],
+                "brackets", "brackets", pairs);
+        }
+    }
+    return pairs.join("&");
+};
+
+/**
+ * Serializes a query parameter value into encoded key=value pairs.  Arrays and objects are serialized recursively.
+ *
+ * @param {string} key The already encoded key of the value
+ * @param value The value to serialize
+ * @param {string} arrayFormat "brackets", "indices" or "repeat"
+ * @param {string} nestingFormat "brackets" or "dots"
+ * @param {Array} pairs The array that the pairs will be appended to
+ * @returns {Array} The pairs
+ */
+FetchTransport.serializeParameter = function (key, value, arrayFormat, nestingFormat, pairs) {
+    if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+            var itemKey;
+            // Nested values need an index so that their properties are grouped together
+            if (arrayFormat === "indices" || (value[i] !== null && typeof value[i] === 'object')) {
+                itemKey = key + "[" + i + "]";
+            } else if (arrayFormat === "repeat") {
+                itemKey = key;
+            } else {
+                itemKey = key + "[]";
+            }
+            FetchTransport.serializeParameter(itemKey, value[i], arrayFormat, nestingFormat, pairs);
+        }
+    } else if (value !== null && typeof value === 'object' && !(value instanceof String)) {
+        for (var property in value) {
+            if (Object.prototype.hasOwnProperty.call(value, property)) {
+                var propertyKey = nestingFormat === "dots"
+                    ? key + "." + encodeURIComponent(property)
+                    : key + "[" + encodeURIComponent(property) + "]";
+                FetchTransport.serializeParameter(propertyKey, value[property], arrayFormat, nestingFormat,
+                    pairs);
+            }
+        }
+    } else {
+        pairs.push(key + "=" + encodeURIComponent(String(value)));
+    }
+    return pairs;
+};
@@ -1,13 +1,25 @@
 /**
- * Handles and keeps track of HTTP query parameters
+ * Handles and keeps track of HTTP query parameters.  The query string is serialized with
+ * FetchTransport.serializeParameter, so FetchTransport needs to be loaded even if another transport is used.
  *
+ * @param {FetchTransport|JqueryTransport} transport The transport used to send requests.  Defaults to a
+ * FetchTransport.
  * @constructor
  * @author Brett Namba (https://github.com/bretten)
  */
-var HttpQueryStringBuilder = function () {
+var HttpQueryStringBuilder = function (transport) {
     this.queryParameters = new Collection();
+    this.transport = transport || new FetchTransport();
+    this.changeListeners = [];
 };
 
+/**
+ * The transport used to send requests
+ *
+ * @type {FetchTransport|JqueryTransport|null}
+ */
+HttpQueryStringBuilder.prototype.transport = null;
+
 /**
  * The base URI that all HTTP requests will be directed at
  *
@@ -29,6 +41,21 @@ HttpQueryStringBuilder.prototype.page = 0;
  */
 HttpQueryStringBuilder.prototype.queryParameters = null;
 
+/**
+ * Determines how arrays are serialized: "brackets" (tags[]=a&tags[]=b), "indices" (tags[0]=a&tags[1]=b) or
+ * "repeat" (tags=a&tags=b)
+ *
+ * @type {string}
+ */
+HttpQueryStringBuilder.prototype.arrayFormat = "brackets";
+
+/**
+ * Determines how nested objects are serialized: "brackets" (filter[price][min]=10) or "dots" (filter.price.min=10)
+ *
+ * @type {string}
+ */
+HttpQueryStringBuilder.prototype.nestingFormat = "brackets";
+
 /**
  * Callback that will be fired before the HTTP request is sent
  *
@@ -57,6 +84,118 @@ HttpQueryStringBuilder.prototype.successCallback = null;
  */
 HttpQueryStringBuilder.prototype.errorCallback = null;
 
+/**
+ * Callback that will be fired when the HTTP request is aborted or superseded by a newer request
+ *
+ * @type {function|null}
+ */
+HttpQueryStringBuilder.prototype.abortCallback = null;
+
+/**
+ * The request that is currently in progress
+ *
+ * @type {jqXHR|XhrShim|null}
+ */
+HttpQueryStringBuilder.prototype.request = null;
+
+/**
+ * Incremented with each request so that responses from superseded requests can be ignored
+ *
+ * @type {number}
+ */
+HttpQueryStringBuilder.prototype.requestSequence = 0;
+
+/**
+ * Flag to determine if the request in progress is aborted when a new request is sent.  If false, the response of
+ * the superseded request is ignored instead.
+ *
+ * @type {boolean}
+ */
+HttpQueryStringBuilder.prototype.abortSupersededRequests = true;
+
+/**
+ * The amount of time (ms) to wait for further calls to sendRequest before the request is sent
+ *
+ * @type {number}
+ */
+HttpQueryStringBuilder.prototype.debounceDelay = 0;
+
+/**
+ * The ID of the timeout that will send the debounced request
+ *
+ * @type {number|null}
+ */
+HttpQueryStringBuilder.prototype.debounceTimeoutId = null;
+
+/**
+ * Settles the Promise of the request that is waiting for the debounce delay
+ *
+ * @type {Deferred|null}
+ */
+HttpQueryStringBuilder.prototype.debouncedDeferred = null;
+
+/**
+ * The cache holding responses keyed by the request URI.  Responses are not cached while this is null.
+ *
+ * @type {LruCache|null}
+ */
+HttpQueryStringBuilder.prototype.cache = null;
+
+/**
+ * Flag to determine if expired cached responses are passed to the success callback while the request is sent to
+ * revalidate them
+ *
+ * @type {boolean}
+ */
+HttpQueryStringBuilder.prototype.staleWhileRevalidate = false;
+
+/**
+ * Flag to determine if the browser history is updated with the query string whenever a request is sent
+ *
+ * @type {boolean}
+ */
+HttpQueryStringBuilder.prototype.isHistorySyncEnabled = false;
+
+/**
+ * Callback that receives the previous and current history states and returns "push" to add a history entry,
+ * "replace" to replace the current entry or null to leave the history as is
+ *
+ * @type {function|null}
+ */
+HttpQueryStringBuilder.prototype.historyPolicy = null;
+
+/**
+ * The state that was last written to the browser history
+ *
+ * @type {{page: number, parameters: string}|null}
+ */
+HttpQueryStringBuilder.prototype.historyState = null;
+
+/**
+ * The listener for the popstate event on the window
+ *
+ * @type {function|null}
+ */
+HttpQueryStringBuilder.prototype.popStateListener = null;
+
+/**
+ * The listeners that are executed whenever the query parameters change
+ *
+ * @type {Array|null}
+ */
+HttpQueryStringBuilder.prototype.changeListeners = null;
+
+/**
+ * Sets the transport used to send requests
+ *
+ * @param {FetchTransport|JqueryTransport} transport The transport
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.setTransport = function (transport) {
+    this.transport = transport;
+    return this;
+};
+
 /**
  * Sets the base URI
  *
@@ -79,6 +218,28 @@ HttpQueryStringBuilder.prototype.setPage = function (page) {
     return this;
 };
 
+/**
+ * Sets the format used to serialize arrays
+ *
+ * @param {string} arrayFormat "brackets", "indices" or "repeat"
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.setArrayFormat = function (arrayFormat) {
+    this.arrayFormat = arrayFormat;
+    return this;
+};
+
+/**
+ * Sets the format used to serialize nested objects
+ *
+ * @param {string} nestingFormat "brackets" or "dots"
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.setNestingFormat = function (nestingFormat) {
+    this.nestingFormat = nestingFormat;
+    return this;
+};
+
 /**
  * Sets the beforeSend callback
  *
@@ -124,17 +285,100 @@ HttpQueryStringBuilder.prototype.setErrorCallback = function (errorCallback) {
 };
 
 /**
- * Adds a query parameter to the collection
+ * Sets the abort callback
+ *
+ * @param {function|null} abortCallback
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.setAbortCallback = function (abortCallback) {
+    this.abortCallback = abortCallback;
+    return this;
+};
+
+/**
+ * Sets the amount of time (ms) to wait for further calls to sendRequest before the request is sent
+ *
+ * @param {number} debounceDelay The delay, or 0 to send requests immediately
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.setDebounceDelay = function (debounceDelay) {
+    this.debounceDelay = debounceDelay;
+    return this;
+};
+
+/**
+ * Starts caching responses in memory, keyed by the request URI
+ *
+ * @param {number} maxEntries The maximum number of responses to cache
+ * @param {number} ttl The amount of time (ms) a cached response is used instead of sending a request
+ * @param {boolean} staleWhileRevalidate Whether expired responses are passed to the success callback while the
+ * request is sent to revalidate them
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.enableCache = function (maxEntries, ttl, staleWhileRevalidate) {
+    this.cache = new LruCache(maxEntries, ttl);
+    this.staleWhileRevalidate = staleWhileRevalidate === true;
+    return this;
+};
+
+/**
+ * Stops caching responses and discards the cached responses
+ *
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.disableCache = function () {
+    this.cache = null;
+    this.staleWhileRevalidate = false;
+    return this;
+};
+
+/**
+ * Removes the cached responses whose URIs match the specified pattern
+ *
+ * @param {string|RegExp|function|null} pattern A string the URIs start with, a RegExp the URIs match or a function
+ * that receives a URI and returns true if it should be removed.  All responses are removed if no pattern is given.
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.invalidate = function (pattern) {
+    if (this.cache != null) {
+        this.cache.invalidate(pattern);
+    }
+    return this;
+};
+
+/**
+ * Adds a query parameter to the collection, replacing any existing value
  *
  * @param {string} parameter The name of the query parameter
- * @param {string} value The value of the query parameter
+ * @param {string|number|boolean|Array|object} value The value of the query parameter.  Arrays and objects may
+ * contain any of the other value types.
  * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ * @throws {TypeError} If the parameter name is not a string or the value cannot be serialized
  */
 HttpQueryStringBuilder.prototype.addQueryParameter = function (parameter, value) {
-    if ((typeof parameter === 'string' || parameter instanceof String)
-        && (typeof value === 'string' || value instanceof String)) {
-        this.queryParameters.add(parameter, value);
+    HttpQueryStringBuilder.validateQueryParameter(parameter, value);
+    this.queryParameters.add(parameter, value);
+    this.notifyChange();
+    return this;
+};
+
+/**
+ * Appends a value to a multi-valued query parameter.  If the parameter already has a single value, it is converted
+ * to an array containing the existing value.
+ *
+ * @param {string} parameter The name of the query parameter
+ * @param {string|number|boolean|Array|object} value The value to append.  Arrays are appended element by element.
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ * @throws {TypeError} If the parameter name is not a string or the value cannot be serialized
+ */
+HttpQueryStringBuilder.prototype.appendQueryParameter = function (parameter, value) {
+    HttpQueryStringBuilder.validateQueryParameter(parameter, value);
+    var values = [];
+    if (this.queryParameters.hasKey(parameter)) {
+        values = values.concat(this.queryParameters.get(parameter));
     }
+    this.queryParameters.add(parameter, values.concat(value));
+    this.notifyChange();
     return this;
 };
 
@@ -146,6 +390,7 @@ HttpQueryStringBuilder.prototype.addQueryParameter = function (parameter, value)
  */
 HttpQueryStringBuilder.prototype.removeQueryParameter = function (parameter) {
     this.queryParameters.remove(parameter);
+    this.notifyChange();
     return this;
 };
 
@@ -155,32 +400,98 @@ HttpQueryStringBuilder.prototype.removeQueryParameter = function (parameter) {
  * @returns {string} A query string containing all of the query parameters
  */
 HttpQueryStringBuilder.prototype.buildQueryString = function () {
-    var queryString;
+    var pairs = [];
     // Append the page parameter if the page is greater than 0
     if (this.page > 0) {
-        queryString = "?page=" + this.page;
-    } else {
-        queryString = "";
+        pairs.push("page=" + this.page);
     }
     // Append all the query parameters
-    var i = 0;
+    pairs = pairs.concat(this.serializeQueryParameters());
+    return pairs.length > 0 ? "?" + pairs.join("&") : "";
+};
+
+/**
+ * Serializes the collection of query parameters using the current array and nesting formats
+ *
+ * @returns {Array} The encoded key=value pairs
+ */
+HttpQueryStringBuilder.prototype.serializeQueryParameters = function () {
+    var pairs = [];
     for (var parameter in this.queryParameters.objects) {
         // Check if the key exists
         if (this.queryParameters.hasKey(parameter)) {
-            // Determine what the first character needs to be
-            if (i == 0 && this.page < 1) {
-                queryString += "?";
-            } else {
-                queryString += "&";
-            }
-            // Append the query parameter and value
-            queryString +=
-                encodeURIComponent(parameter) + "=" + encodeURIComponent(this.queryParameters.get(parameter));
-            // Increment the counter
-            i++;
+            FetchTransport.serializeParameter(encodeURIComponent(parameter),
+                this.queryParameters.get(parameter), this.arrayFormat, this.nestingFormat, pairs);
         }
     }
-    return queryString;
+    return pairs;
+};
+
+/**
+ * Replaces the current page and query parameters with the ones in the specified query string.  Percent-encoding
+ * and "+" are decoded, repeated keys become arrays and nested keys become objects according to the current
+ * nesting format.  The "page" parameter sets the page.  Sparse array indices are compacted, and the array format is
+ * set to the style of the first array in the query string so that it is serialized the same way again.
+ *
+ * @param {string} queryString The query string with or without the leading "?"
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.parse = function (queryString) {
+    this.page = 0;
+    this.queryParameters = new Collection();
+
+    var parameters = {};
+    var arrayFormat = null;
+    var pairs = queryString.replace(/#.*$/, "").replace(/^\?/, "").split("&");
+    for (var i = 0; i < pairs.length; i++) {
+        if (pairs[i] === "") {
+            continue;
+        }
+        // Split the pair on the first "=" since the value may contain more
+        var separatorIndex = pairs[i].indexOf("=");
+        var key = HttpQueryStringBuilder.decodeComponent(
+            separatorIndex < 0 ? pairs[i] : pairs[i].substring(0, separatorIndex));
+        var value = separatorIndex < 0 ? "" : HttpQueryStringBuilder.decodeComponent(
+            pairs[i].substring(separatorIndex + 1));
+        // The page parameter is tracked separately
+        if (key === "page") {
+            var page = parseInt(value, 10);
+            this.page = isNaN(page) ? 0 : page;
+            continue;
+        }
+        var segments = HttpQueryStringBuilder.parseKey(key, this.nestingFormat);
+        // The keys come from the URL, so do not let them replace the prototype of the parsed objects
+        if (segments.indexOf("__proto__") >= 0) {
+            continue;
+        }
+        var name = segments.shift();
+        if (arrayFormat == null) {
+            arrayFormat = HttpQueryStringBuilder.detectArrayFormat(segments,
+                Object.prototype.hasOwnProperty.call(parameters, name));
+        }
+        HttpQueryStringBuilder.assignParsedValue(parameters, name, segments, value);
+    }
+
+    // Add the parsed parameters to the collection
+    for (var parameter in parameters) {
+        if (Object.prototype.hasOwnProperty.call(parameters, parameter)) {
+            this.queryParameters.add(parameter, HttpQueryStringBuilder.compactParsedValue(parameters[parameter]));
+        }
+    }
+    if (arrayFormat != null) {
+        this.arrayFormat = arrayFormat;
+    }
+    this.notifyChange();
+    return this;
+};
+
+/**
+ * Builds the full URI for the HTTP request based on the base URI and the query string
+ *
+ * @returns {string} The URI with the query string appended
+ */
+HttpQueryStringBuilder.prototype.buildUri = function () {
+    return this.baseUri + this.buildQueryString();
 };
 
 /**
@@ -223,35 +534,515 @@ HttpQueryStringBuilder.prototype.resetPageNumber = function () {
 HttpQueryStringBuilder.prototype.resetQueryParams = function () {
     this.resetPageNumber();
     this.queryParameters = new Collection();
+    this.notifyChange();
     return this;
 };
 
 /**
- * Sends a HTTP GET request via AJAX using the current query parameters and delegates handling to the callbacks
+ * Adds a listener that is executed whenever the query parameters are added, appended, removed, parsed or reset.
+ * Page changes do not execute the listeners.
+ *
+ * @param {function} listener The listener
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.addChangeListener = function (listener) {
+    this.changeListeners.push(listener);
+    return this;
+};
+
+/**
+ * Removes a listener that was added with addChangeListener
+ *
+ * @param {function} listener The listener
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.removeChangeListener = function (listener) {
+    var index = this.changeListeners.indexOf(listener);
+    if (index >= 0) {
+        this.changeListeners.splice(index, 1);
+    }
+    return this;
+};
+
+/**
+ * Executes the change listeners
+ */
+HttpQueryStringBuilder.prototype.notifyChange = function () {
+    var listeners = this.changeListeners.slice();
+    for (var i = 0; i < listeners.length; i++) {
+        listeners[i](this);
+    }
+};
+
+/**
+ * Starts updating the browser history with the query string whenever a request is sent and restores the page and
+ * query parameters when the user navigates back or forward
+ *
+ * @param {function|null} historyPolicy Decides if a change pushes or replaces a history entry.  By default, query
+ * parameter changes push while page changes replace.
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.enableHistorySync = function (historyPolicy) {
+    this.historyPolicy = historyPolicy || HttpQueryStringBuilder.defaultHistoryPolicy;
+    if (this.isHistorySyncEnabled) {
+        return this;
+    }
+
+    this.isHistorySyncEnabled = true;
+    this.historyState = this.getHistoryState();
+    this.popStateListener = this.onPopState.bind(this);
+    window.addEventListener('popstate', this.popStateListener);
+    return this;
+};
+
+/**
+ * Stops updating the browser history
+ *
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.disableHistorySync = function () {
+    if (this.popStateListener != null) {
+        window.removeEventListener('popstate', this.popStateListener);
+        this.popStateListener = null;
+    }
+    this.isHistorySyncEnabled = false;
+    this.historyState = null;
+    return this;
+};
+
+/**
+ * Gets the current page and serialized query parameters so they can be compared with the history
+ *
+ * @returns {{page: number, parameters: string}} The history state
+ */
+HttpQueryStringBuilder.prototype.getHistoryState = function () {
+    return {
+        page: this.page,
+        parameters: this.serializeQueryParameters().join("&")
+    };
+};
+
+/**
+ * Builds the URL of the current page with the query string in place of the current one
+ *
+ * @returns {string} The URL for the history entry
+ */
+HttpQueryStringBuilder.prototype.buildHistoryUrl = function () {
+    return window.location.pathname + this.buildQueryString() + window.location.hash;
+};
+
+/**
+ * Pushes or replaces the browser history entry according to the history policy
+ */
+HttpQueryStringBuilder.prototype.syncHistory = function () {
+    var state = this.getHistoryState();
+    var action = this.historyPolicy(this.historyState, state);
+    if (action === "push") {
+        window.history.pushState({queryString: this.buildQueryString()}, "", this.buildHistoryUrl());
+    } else if (action === "replace") {
+        window.history.replaceState({queryString: this.buildQueryString()}, "", this.buildHistoryUrl());
+    }
+    this.historyState = state;
+};
+
+/**
+ * Called when the user navigates back or forward.  Restores the page and query parameters from the URL and sends
+ * the request again without adding a history entry.
+ */
+HttpQueryStringBuilder.prototype.onPopState = function () {
+    this.parse(window.location.search);
+    // The history already reflects the restored state
+    this.historyState = this.getHistoryState();
+    this.sendRequest()["catch"](function () {
+        // Failures are reported through the error callback
+    });
+};
+
+/**
+ * Sends a HTTP GET request with the transport using the current query parameters and delegates handling to the
+ * callbacks.  If a debounce delay is set, the request is only sent once no other request has been made during the
+ * delay.
+ *
+ * @returns {Promise} Resolves with {data, status, xhr, isFromCache, revalidation} or rejects with a HttpRequestError.
+ * Requests that are debounced, superseded or aborted reject with an error whose isAborted flag is set.  When an
+ * expired response is served in stale-while-revalidate mode, revalidation is a Promise that is settled the same way
+ * with the fresh response, otherwise it is null.
  */
 HttpQueryStringBuilder.prototype.sendRequest = function () {
-    $.ajax({
+    var deferred = new Deferred();
+    if (this.debounceDelay > 0) {
+        // The request that was waiting for the delay will not be sent
+        clearTimeout(this.debounceTimeoutId);
+        if (this.debouncedDeferred != null) {
+            this.debouncedDeferred.cancel(new HttpRequestError(null, "abort"));
+        }
+        this.debouncedDeferred = deferred;
+        this.debounceTimeoutId = setTimeout(function () {
+            this.debounceTimeoutId = null;
+            this.debouncedDeferred = null;
+            this.executeRequest(deferred);
+        }.bind(this), this.debounceDelay);
+        return deferred.promise;
+    }
+
+    this.executeRequest(deferred);
+    return deferred.promise;
+};
+
+/**
+ * Sends the HTTP GET request immediately.  The request in progress is superseded: it is aborted if
+ * abortSupersededRequests is set, otherwise its response is ignored.  Superseded and aborted requests only execute
+ * the abort callback.
+ *
+ * If caching is enabled and a fresh response is cached, the success callback is executed with it instead of sending
+ * the request.  In stale-while-revalidate mode an expired response is passed to the success callback before the
+ * request is sent.  The last argument of the success callback indicates whether the data came from the cache.
+ *
+ * @param {Deferred} deferred Settled with the outcome of the request.  In stale-while-revalidate mode it is resolved
+ * with the cached response and the outcome of the request settles the revalidation Promise of that response instead.
+ */
+HttpQueryStringBuilder.prototype.executeRequest = function (deferred) {
+    if (this.isHistorySyncEnabled) {
+        this.syncHistory();
+    }
+
+    // Supersede the request in progress
+    var superseded = this.request;
+    var sequence = ++this.requestSequence;
+    if (superseded != null && this.abortSupersededRequests) {
+        superseded.abort();
+    }
+    var isCurrent = function () {
+        return sequence === this.requestSequence;
+    }.bind(this);
+
+    // Use the cached response if there is one
+    var url = this.buildUri();
+    var entry = this.cache != null ? this.cache.getEntry(url) : null;
+    if (entry != null) {
+        var isFresh = this.cache.isFresh(entry);
+        if (isFresh || this.staleWhileRevalidate) {
+            this.request = null;
+            if (typeof this.successCallback === "function") {
+                this.successCallback(entry.value, "success", null, true);
+            }
+            // Only revalidate expired responses
+            var revalidation = isFresh ? null : new Deferred();
+            deferred.resolve({
+                data: entry.value,
+                status: "success",
+                xhr: null,
+                isFromCache: true,
+                revalidation: revalidation != null ? revalidation.promise : null
+            });
+            if (isFresh) {
+                return;
+            }
+            deferred = revalidation;
+        }
+    }
+
+    var isFinished = false;
+    var request = this.transport.send({
         type: 'GET',
-        url: this.baseUri + this.buildQueryString(),
+        url: url,
         beforeSend: (function (jqXHR, settings) {
-            if ($.isFunction(this.beforeSendCallback)) {
+            if (typeof this.beforeSendCallback === "function") {
                 this.beforeSendCallback(jqXHR, settings);
             }
         }).bind(this),
         complete: (function (jqXHR, textStatus) {
-            if ($.isFunction(this.completeCallback)) {
+            isFinished = true;
+            if (!isCurrent() || textStatus === "abort") {
+                if (typeof this.abortCallback === "function") {
+                    this.abortCallback(jqXHR);
+                }
+                deferred.cancel(new HttpRequestError(jqXHR, "abort"));
+                return;
+            }
+            this.request = null;
+            if (typeof this.completeCallback === "function") {
                 this.completeCallback(jqXHR, textStatus);
             }
         }).bind(this),
         success: (function (data, textStatus, jqXHR) {
-            if ($.isFunction(this.successCallback)) {
-                this.successCallback(data, textStatus, jqXHR);
+            if (this.cache != null) {
+                this.cache.set(url, data);
+            }
+            if (!isCurrent()) {
+                return;
             }
+            if (typeof this.successCallback === "function") {
+                this.successCallback(data, textStatus, jqXHR, false);
+            }
+            deferred.resolve({data: data, status: textStatus, xhr: jqXHR, isFromCache: false, revalidation: null});
         }).bind(this),
         error: (function (jqXHR, textStatus, errorThrown) {
-            if ($.isFunction(this.errorCallback)) {
+            if (!isCurrent() || textStatus === "abort") {
+                return;
+            }
+            // Callers that only use the callbacks have already been told about the failure
+            if (typeof this.errorCallback === "function") {
                 this.errorCallback(jqXHR, textStatus, errorThrown);
+                deferred.rejectHandled(new HttpRequestError(jqXHR, textStatus, errorThrown));
+            } else {
+                deferred.reject(new HttpRequestError(jqXHR, textStatus, errorThrown));
             }
         }).bind(this)
     });
+    // A request that the transport canceled before sending it has already finished
+    this.request = isFinished ? null : request;
+};
+
+/**
+ * Cancels the debounced request and aborts the request in progress
+ *
+ * @returns {HttpQueryStringBuilder} Reference to the current instance for chaining
+ */
+HttpQueryStringBuilder.prototype.abortRequest = function () {
+    clearTimeout(this.debounceTimeoutId);
+    this.debounceTimeoutId = null;
+    if (this.debouncedDeferred != null) {
+        this.debouncedDeferred.cancel(new HttpRequestError(null, "abort"));
+        this.debouncedDeferred = null;
+    }
+    if (this.request != null) {
+        var request = this.request;
+        this.request = null;
+        this.requestSequence++;
+        request.abort();
+    }
+    return this;
+};
+
+/**
+ * Determines if the specified value can be serialized as a query parameter value
+ *
+ * @param value The value to check
+ * @returns {boolean} True if the value is a string, finite number, boolean or an array or plain object containing
+ * only those values, otherwise false
+ */
+HttpQueryStringBuilder.isQueryValue = function (value) {
+    if (typeof value === 'string' || value instanceof String || typeof value === 'boolean') {
+        return true;
+    }
+    if (typeof value === 'number') {
+        return isFinite(value);
+    }
+    if (Array.isArray(value)) {
+        for (var i = 0; i < value.length; i++) {
+            if (!HttpQueryStringBuilder.isQueryValue(value[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (value != null && Object.prototype.toString.call(value) === '[object Object]') {
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key) && !HttpQueryStringBuilder.isQueryValue(value[key])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Makes sure the specified query parameter name and value can be serialized
+ *
+ * @param parameter The name of the query parameter
+ * @param value The value of the query parameter
+ * @throws {TypeError} If the parameter name is not a string or the value cannot be serialized
+ */
+HttpQueryStringBuilder.validateQueryParameter = function (parameter, value) {
+    if (!(typeof parameter === 'string' || parameter instanceof String)) {
+        throw new TypeError("The query parameter name must be a string.");
+    }
+    if (!HttpQueryStringBuilder.isQueryValue(value)) {
+        throw new TypeError("The value of the query parameter \"" + parameter + "\" cannot be serialized.");
+    }
+};
+
+/**
+ * The default history policy.  Query parameter changes push a new history entry so filters can be navigated with the
+ * back button while page changes only replace the current entry.
+ *
+ * @param {{page: number, parameters: string}} previous The state that was last written to the history
+ * @param {{page: number, parameters: string}} current The current state
+ * @returns {string|null} "push", "replace" or null if nothing changed
+ */
+HttpQueryStringBuilder.defaultHistoryPolicy = function (previous, current) {
+    if (previous.parameters !== current.parameters) {
+        return "push";
+    }
+    if (previous.page != current.page) {
+        return "replace";
+    }
+    return null;
+};
+
+/**
+ * Creates a HttpQueryStringBuilder from the specified query string
+ *
+ * @param {string} queryString The query string with or without the leading "?"
+ * @param {FetchTransport|JqueryTransport} transport The transport used to send requests
+ * @returns {HttpQueryStringBuilder} The new instance
+ */
+HttpQueryStringBuilder.fromQueryString = function (queryString, transport) {
+    return new HttpQueryStringBuilder(transport).parse(queryString);
+};
+
+/**
+ * Creates a HttpQueryStringBuilder from the specified URL.  Everything before the query string becomes the base
+ * URI.
+ *
+ * @param {string} url The URL
+ * @param {FetchTransport|JqueryTransport} transport The transport used to send requests
+ * @returns {HttpQueryStringBuilder} The new instance
+ */
+HttpQueryStringBuilder.fromUrl = function (url, transport) {
+    var end = url.search(/[?#]/);
+    var builder = new HttpQueryStringBuilder(transport);
+    if (end < 0) {
+        return builder.setBaseUri(url);
+    }
+    return builder.setBaseUri(url.substring(0, end)).parse(url.substring(end));
+};
+
+/**
+ * Decodes a query string component, treating "+" as a space
+ *
+ * @param {string} component The encoded component
+ * @returns {string} The decoded component, or the component as is if it is malformed
+ */
+HttpQueryStringBuilder.decodeComponent = function (component) {
+    component = component.replace(/\+/g, " ");
+    try {
+        return decodeURIComponent(component);
+    } catch (e) {
+        return component;
+    }
+};
+
+/**
+ * Splits a decoded query parameter key into its name and nested segments, such as "filter[price][min]" into
+ * "filter", "price" and "min".  Empty segments come from array keys like "tags[]".
+ *
+ * @param {string} key The decoded key
+ * @param {string} nestingFormat "brackets" or "dots"
+ * @returns {Array} The name followed by the segments
+ */
+HttpQueryStringBuilder.parseKey = function (key, nestingFormat) {
+    var isDots = nestingFormat === "dots";
+    var name = key.match(isDots ? /^[^\[.]+/ : /^[^\[]+/);
+    if (name == null) {
+        return [key];
+    }
+
+    var segments = [name[0]];
+    var segmentPattern = isDots ? /\[([^\]]*)\]|\.([^\[.]+)/g : /\[([^\]]*)\]/g;
+    segmentPattern.lastIndex = name[0].length;
+    var index = name[0].length;
+    var match;
+    while (index < key.length && (match = segmentPattern.exec(key)) != null && match.index === index) {
+        segments.push(match[1] !== undefined ? match[1] : match[2]);
+        index = segmentPattern.lastIndex;
+    }
+    // Treat the key literally if it could not be fully split
+    return index === key.length ? segments : [key];
+};
+
+/**
+ * Determines the array format of a parsed query parameter key
+ *
+ * @param {Array} segments The nested segments of the key
+ * @param {boolean} isRepeated Whether a parameter with the same name was already parsed
+ * @returns {string|null} "brackets", "indices", "repeat" or null if the key is not part of an array
+ */
+HttpQueryStringBuilder.detectArrayFormat = function (segments, isRepeated) {
+    for (var i = 0; i < segments.length; i++) {
+        if (segments[i] === "") {
+            return "brackets";
+        }
+        if (/^\d+$/.test(segments[i])) {
+            return "indices";
+        }
+    }
+    return segments.length === 0 && isRepeated ? "repeat" : null;
+};
+
+/**
+ * Removes the holes that sparse indices such as "tags[3]" leave in parsed arrays
+ *
+ * @param value The parsed value
+ * @returns {*} The value with its arrays compacted
+ */
+HttpQueryStringBuilder.compactParsedValue = function (value) {
+    if (Array.isArray(value)) {
+        var compacted = [];
+        for (var i = 0; i < value.length; i++) {
+            if (i in value) {
+                compacted.push(HttpQueryStringBuilder.compactParsedValue(value[i]));
+            }
+        }
+        return compacted;
+    }
+    if (value !== null && typeof value === 'object') {
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                value[key] = HttpQueryStringBuilder.compactParsedValue(value[key]);
+            }
+        }
+    }
+    return value;
+};
+
+/**
+ * Assigns a parsed value to the specified target following the key segments.  Values for repeated keys are
+ * collected into arrays, as are a value and nested values that share a key.
+ *
+ * @param {object|Array} target The object or array to assign the value to
+ * @param {string|number} key The key on the target
+ * @param {Array} segments The remaining nested segments
+ * @param {string} value The value
+ */
+HttpQueryStringBuilder.assignParsedValue = function (target, key, segments, value) {
+    var existing = Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+    if (segments.length === 0) {
+        if (existing === undefined) {
+            target[key] = value;
+        } else if (Array.isArray(existing)) {
+            existing.push(value);
+        } else {
+            target[key] = [existing, value];
+        }
+        return;
+    }
+
+    var segment = segments[0];
+    var rest = segments.slice(1);
+    if (segment === "") {
+        // Append to an array
+        if (!Array.isArray(existing)) {
+            existing = target[key] = existing === undefined ? [] : [existing];
+        }
+        if (rest.length === 0) {
+            existing.push(value);
+        } else {
+            existing.push({});
+            HttpQueryStringBuilder.assignParsedValue(existing, existing.length - 1, rest, value);
+        }
+    } else {
+        // Numeric segments index into arrays while the rest are object properties
+        var container = /^\d+$/.test(segment) ? [] : {};
+        if (existing === undefined || existing === null) {
+            existing = target[key] = container;
+        } else if (typeof existing !== 'object') {
+            // Keep the value of the key without segments, such as the "1" of "a=1&a[b]=2"
+            target[key] = [existing, container];
+            existing = container;
+        }
+        HttpQueryStringBuilder.assignParsedValue(existing, segment, rest, value);
+    }
 };
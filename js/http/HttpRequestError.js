@@ -0,0 +1,65 @@
+/**
+ * Represents a failed or aborted HTTP request.  Used as the rejection reason of the Promises returned by requests.
+ *
+ * @param {jqXHR|XhrShim|null} xhr The request object
+ * @param {string} textStatus The type of error, such as "error", "timeout", "parsererror" or "abort"
+ * @param {string} errorThrown The HTTP status text or the exception that was thrown
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var HttpRequestError = function (xhr, textStatus, errorThrown) {
+    this.xhr = xhr || null;
+    this.status = xhr != null ? xhr.status : 0;
+    this.textStatus = textStatus;
+    this.errorThrown = errorThrown || "";
+    this.isAborted = textStatus === "abort";
+    this.message = this.isAborted
+        ? "The HTTP request was aborted."
+        : "The HTTP request failed with status " + this.status + " (" + textStatus + ").";
+    this.stack = new Error(this.message).stack;
+};
+
+HttpRequestError.prototype = Object.create(Error.prototype);
+HttpRequestError.prototype.constructor = HttpRequestError;
+
+/**
+ * The name of the error
+ *
+ * @type {string}
+ */
+HttpRequestError.prototype.name = "HttpRequestError";
+
+/**
+ * The request object
+ *
+ * @type {jqXHR|XhrShim|null}
+ */
+HttpRequestError.prototype.xhr = null;
+
+/**
+ * The HTTP status code, or 0 if no response was received
+ *
+ * @type {number}
+ */
+HttpRequestError.prototype.status = 0;
+
+/**
+ * The type of error, such as "error", "timeout", "parsererror" or "abort"
+ *
+ * @type {string}
+ */
+HttpRequestError.prototype.textStatus = "error";
+
+/**
+ * The HTTP status text or the exception that was thrown
+ *
+ * @type {string}
+ */
+HttpRequestError.prototype.errorThrown = "";
+
+/**
+ * Flag to determine if the request was aborted or superseded rather than failed
+ *
+ * @type {boolean}
+ */
+HttpRequestError.prototype.isAborted = false;
@@ -0,0 +1,20 @@
+/**
+ * Sends HTTP requests with jQuery.ajax.  Use this transport on pages that rely on jQuery's global AJAX settings or
+ * events.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var JqueryTransport = function () {
+
+};
+
+/**
+ * Sends a HTTP request
+ *
+ * @param {object} settings The jQuery.ajax settings
+ * @returns {jqXHR} The object representing the request
+ */
+JqueryTransport.prototype.send = function (settings) {
+    return $.ajax(settings);
+};
@@ -0,0 +1,131 @@
+/**
+ * Stands in for the jqXHR object in the callbacks of requests sent without jQuery.  Exposes the commonly used parts
+ * of the jqXHR interface: the status, the response and its headers, setting request headers and aborting.
+ *
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var XhrShim = function () {
+    this.requestHeaders = {};
+};
+
+/**
+ * The state of the request: 0 before it is sent, 1 while it is in progress and 4 when it is done
+ *
+ * @type {number}
+ */
+XhrShim.prototype.readyState = 0;
+
+/**
+ * The HTTP status code, or 0 if no response was received
+ *
+ * @type {number}
+ */
+XhrShim.prototype.status = 0;
+
+/**
+ * The HTTP status text
+ *
+ * @type {string}
+ */
+XhrShim.prototype.statusText = "";
+
+/**
+ * The raw response body
+ *
+ * @type {string}
+ */
+XhrShim.prototype.responseText = "";
+
+/**
+ * The parsed response body if the response was JSON
+ *
+ * @type {*}
+ */
+XhrShim.prototype.responseJSON = undefined;
+
+/**
+ * The headers that will be sent with the request
+ *
+ * @type {object}
+ */
+XhrShim.prototype.requestHeaders = {};
+
+/**
+ * The headers of the response
+ *
+ * @type {Headers|null}
+ */
+XhrShim.prototype.responseHeaders = null;
+
+/**
+ * Flag to determine if the request was aborted
+ *
+ * @type {boolean}
+ */
+XhrShim.prototype.isAborted = false;
+
+/**
+ * Called by the transport to cancel the request when it is aborted
+ *
+ * @type {function|null}
+ */
+XhrShim.prototype.onAbort = null;
+
+/**
+ * Sets a header that will be sent with the request.  Only has an effect before the request is sent.
+ *
+ * @param {string} name The name of the header
+ * @param {string} value The value of the header
+ * @returns {XhrShim} Reference to the current instance for chaining
+ */
+XhrShim.prototype.setRequestHeader = function (name, value) {
+    if (this.readyState === 0) {
+        this.requestHeaders[name] = value;
+    }
+    return this;
+};
+
+/**
+ * Gets the value of the specified response header
+ *
+ * @param {string} name The name of the header
+ * @returns {string|null} The value if the header exists, otherwise null
+ */
+XhrShim.prototype.getResponseHeader = function (name) {
+    return this.responseHeaders != null ? this.responseHeaders.get(name) : null;
+};
+
+/**
+ * Gets all of the response headers
+ *
+ * @returns {string|null} The headers separated by line breaks, or null if no response was received
+ */
+XhrShim.prototype.getAllResponseHeaders = function () {
+    if (this.responseHeaders == null) {
+        return null;
+    }
+
+    var headers = "";
+    this.responseHeaders.forEach(function (value, name) {
+        headers += name + ": " + value + "\r\n";
+    });
+    return headers;
+};
+
+/**
+ * Aborts the request
+ *
+ * @param {string} statusText The status text of the aborted request
+ * @returns {XhrShim} Reference to the current instance for chaining
+ */
+XhrShim.prototype.abort = function (statusText) {
+    if (this.readyState !== 4 && !this.isAborted) {
+        this.isAborted = true;
+        this.statusText = statusText || "abort";
+        if (typeof this.onAbort === "function") {
+            this.onAbort();
+        }
+    }
+    return this;
+};
@@ -1,11 +1,17 @@
 /**
  * Represents a GoogleMap that is location-aware
  *
+ * @param positionSource The source of positions for the Geolocator.  Defaults to a BrowserPositionSource.
  * @constructor
  * @author Brett Namba (https://github.com/bretten)
  */
-var GoogleMap = function () {
-    this.initializeGeolocator();
+var GoogleMap = function (positionSource) {
+    this.markers = new Collection();
+    this.markerClickListeners = new Collection();
+    this.clusterMarkers = [];
+    this.clusterMarkerListeners = [];
+    this.geofenceShapes = [];
+    this.initializeGeolocator(positionSource);
 };
 
 /**
@@ -86,6 +92,69 @@ GoogleMap.prototype.userMarkerOptions = {
  */
 GoogleMap.prototype.userLocationCircle = null;
 
+/**
+ * Flag to determine if the radius of the user location Circle is set to the accuracy of the position
+ *
+ * @type {boolean}
+ */
+GoogleMap.prototype.sizeUserLocationCircleToAccuracy = true;
+
+/**
+ * The GeofenceManager that the user's live positions are checked against
+ *
+ * @type {GeofenceManager|null}
+ */
+GoogleMap.prototype.geofenceManager = null;
+
+/**
+ * Flag to determine if the positions replayed by a TrackRecorder can also enter or exit the geofence regions
+ *
+ * @type {boolean}
+ */
+GoogleMap.prototype.geofenceReplayedPositions = true;
+
+/**
+ * The Circles and Polygons drawn for the geofence regions
+ *
+ * @type {Array|null}
+ */
+GoogleMap.prototype.geofenceShapes = null;
+
+/**
+ * google.maps.CircleOptions that determine the appearance of circle geofence regions
+ *
+ * @type {object|null}
+ */
+GoogleMap.prototype.geofenceCircleOptions = null;
+
+/**
+ * google.maps.PolygonOptions that determine the appearance of polygon geofence regions
+ *
+ * @type {object|null}
+ */
+GoogleMap.prototype.geofencePolygonOptions = null;
+
+/**
+ * The TrackRecorder that records the user's live positions
+ *
+ * @type {TrackRecorder|null}
+ */
+GoogleMap.prototype.trackRecorder = null;
+
+/**
+ * The Polyline that draws the recorded track
+ *
+ * @type {google.maps.Polyline|null}
+ */
+GoogleMap.prototype.trackPolyline = null;
+
+/**
+ * google.maps.PolylineOptions that determine the appearance of the recorded track
+ *
+ * @type {object|null}
+ */
+GoogleMap.prototype.trackPolylineOptions = null;
+
 /**
  * Callback that executes when a location request is made
  *
@@ -114,6 +183,13 @@ GoogleMap.prototype.onGeolocationSuccessCallback = null;
  */
 GoogleMap.prototype.onGeolocationErrorCallback = null;
 
+/**
+ * Callback that executes when a previously granted geolocation permission is revoked
+ *
+ * @type {function|null}
+ */
+GoogleMap.prototype.onGeolocationPermissionRevokedCallback = null;
+
 /**
  * The amount of time (ms) to wait for a user response on the geolocation permission prompt before executing the
  * onGeolocationPermissionTimeoutCallback method
@@ -143,6 +219,76 @@ GoogleMap.prototype.minFocusedZoomLevel = 5;
  */
 GoogleMap.prototype.onMarkerClickCallback = null;
 
+/**
+ * The collection of Markers managed by the Map, keyed by their IDs
+ *
+ * @type {Collection|null}
+ */
+GoogleMap.prototype.markers = null;
+
+/**
+ * The collection of click listeners attached to the managed Markers, keyed by the Marker IDs
+ *
+ * @type {Collection|null}
+ */
+GoogleMap.prototype.markerClickListeners = null;
+
+/**
+ * The name of the property that holds the Marker ID on each item passed to setMarkers
+ *
+ * @type {string}
+ */
+GoogleMap.prototype.markerIdProperty = "id";
+
+/**
+ * The GridClusterer used to group the managed Markers.  Clustering is disabled while this is null.
+ *
+ * @type {GridClusterer|null}
+ */
+GoogleMap.prototype.clusterer = null;
+
+/**
+ * The minimum number of Markers that need to fall in the same grid cell before they are displayed as a cluster
+ *
+ * @type {number}
+ */
+GoogleMap.prototype.minimumClusterSize = 2;
+
+/**
+ * Callback that receives a cluster and returns MarkerOptions that determine the appearance of its Marker
+ *
+ * @type {function|null}
+ */
+GoogleMap.prototype.clusterIconRenderer = null;
+
+/**
+ * The Markers that are currently displaying clusters
+ *
+ * @type {Array}
+ */
+GoogleMap.prototype.clusterMarkers = [];
+
+/**
+ * The click listeners of the cluster Markers, in the same order as the cluster Markers
+ *
+ * @type {Array}
+ */
+GoogleMap.prototype.clusterMarkerListeners = [];
+
+/**
+ * The listener that recomputes the clusters when the Map becomes idle
+ *
+ * @type {google.maps.MapsEventListener|null}
+ */
+GoogleMap.prototype.clusterIdleListener = null;
+
+/**
+ * The ID of the timeout that will recompute the clusters
+ *
+ * @type {number|null}
+ */
+GoogleMap.prototype.clusterRefreshTimeoutId = null;
+
 /**
  * Initializes the map on the specified element
  *
@@ -151,19 +297,27 @@ GoogleMap.prototype.onMarkerClickCallback = null;
 GoogleMap.prototype.initializeMap = function (mapElement) {
     this.mapElement = mapElement;
     this.map = new google.maps.Map(this.mapElement, this.mapOptions);
+    // Start recomputing the clusters if clustering was enabled before the Map existed
+    if (this.clusterer != null) {
+        this.addClusterIdleListener();
+    }
 };
 
 /**
  * Initializes the Geolocator and sets the callbacks
+ *
+ * @param positionSource The source of positions for the Geolocator.  Defaults to a BrowserPositionSource.
  */
-GoogleMap.prototype.initializeGeolocator = function () {
-    this.geolocator = new Geolocator();
+GoogleMap.prototype.initializeGeolocator = function (positionSource) {
+    this.geolocator = new Geolocator(positionSource);
     // Set the timeout
     this.geolocator.permissionTimeout = this.geolocatorWaitTimeout;
     // Set the callback that executes when a location request is made
     this.geolocator.onRequestPositionCallback = this.onGeolocationRequest.bind(this);
     // Set the callback that executes if the geolocation permission prompt is not answered by the user
     this.geolocator.onPermissionTimeoutCallback = this.onGeolocationPermissionTimeout.bind(this);
+    // Set the callback that executes if the geolocation permission is revoked
+    this.geolocator.onPermissionRevokedCallback = this.onGeolocationPermissionRevoked.bind(this);
     // Set the callback that executes on a successful location request
     this.geolocator.onPositionUpdateCallback = this.onGeolocationSuccess.bind(this);
     // Set the callback that executes on a location request error
@@ -184,29 +338,60 @@ GoogleMap.prototype.initializeUserLocationCircle = function (options) {
  *
  * @param lat The latitude returned from the geolcation API
  * @param lng The longitude returned from the geolcation API
+ * @param position The full position including the accuracy, altitude, heading, speed and timestamp
  */
-GoogleMap.prototype.onGeolocationSuccess = function (lat, lng) {
-    if ($.isFunction(this.onGeolocationSuccessCallback)) {
-        this.onGeolocationSuccessCallback(lat, lng);
+GoogleMap.prototype.onGeolocationSuccess = function (lat, lng, position) {
+    if (typeof this.onGeolocationSuccessCallback === "function") {
+        this.onGeolocationSuccessCallback(lat, lng, position);
     }
 
     // Focus the Map on the user's location if it is not within the current Map bounds
-    this.focusOnLocation(lat, lng);
+    this.focusOnLocation(lat, lng, position != null ? position.accuracy : null);
     // Update the Marker indicating the user's location
     this.setUserMarker(lat, lng);
     // Update the position of the user's location circle
-    this.setUserLocationCirclePosition(lat, lng);
+    this.setUserLocationCirclePosition(lat, lng, position != null ? position.accuracy : null);
+    // Extend the recorded track
+    if (this.trackRecorder != null && this.trackRecorder.isRecording
+        && (position == null || position.source === "geolocation")) {
+        var point = this.trackRecorder.record(position != null ? position : {lat: lat, lng: lng});
+        // The track was not drawn yet if recording was started on the TrackRecorder itself or the track was cleared
+        if (this.trackPolyline == null) {
+            this.drawTrack();
+        } else {
+            this.trackPolyline.getPath().push(new google.maps.LatLng(point.lat, point.lng));
+        }
+    }
+    // Only live positions, and replayed positions if enabled, can enter or exit the geofence regions
+    if (this.geofenceManager != null && (position == null || position.source === "geolocation"
+        || (position.source === "replay" && this.geofenceReplayedPositions))) {
+        this.geofenceManager.update(position != null ? position : {lat: lat, lng: lng});
+    }
 };
 
 /**
  * Callback method that executes if the geolocation permission prompt is not answered by the user
  */
 GoogleMap.prototype.onGeolocationPermissionTimeout = function () {
-    if ($.isFunction(this.onGeolocationPermissionTimeoutCallback)) {
+    if (typeof this.onGeolocationPermissionTimeoutCallback === "function") {
         this.onGeolocationPermissionTimeoutCallback(this.geolocator.isCurrentPositionAvailable());
     }
 };
 
+/**
+ * Callback method that executes when a previously granted geolocation permission is revoked
+ *
+ * @param {string} permissionState The new state of the geolocation permission
+ */
+GoogleMap.prototype.onGeolocationPermissionRevoked = function (permissionState) {
+    // The user's location is no longer known
+    this.removeUserPosition();
+    this.hideUserLocationCircle();
+    if (typeof this.onGeolocationPermissionRevokedCallback === "function") {
+        this.onGeolocationPermissionRevokedCallback(permissionState);
+    }
+};
+
 /**
  * Callback method that executes when a location request is made
  */
@@ -218,7 +403,7 @@ GoogleMap.prototype.onGeolocationRequest = function () {
     // Hide the location circle
     this.hideUserLocationCircle();
     // Execute the on request callback
-    if ($.isFunction(this.onGeolocationRequestCallback)) {
+    if (typeof this.onGeolocationRequestCallback === "function") {
         this.onGeolocationRequestCallback();
     }
 };
@@ -229,7 +414,7 @@ GoogleMap.prototype.onGeolocationRequest = function () {
  * @type {string} The error message
  */
 GoogleMap.prototype.onGeolocationError = function (errorMessage) {
-    if ($.isFunction(this.onGeolocationErrorCallback)) {
+    if (typeof this.onGeolocationErrorCallback === "function") {
         this.onGeolocationErrorCallback(errorMessage);
     }
 };
@@ -288,8 +473,10 @@ GoogleMap.prototype.setUserMarker = function (lat, lng) {
  *
  * @param lat The new latitude
  * @param lng The new longitude
+ * @param accuracy How far (m) the user may be from the location.  Sets the radius of the Circle if
+ * sizeUserLocationCircleToAccuracy is enabled.
  */
-GoogleMap.prototype.setUserLocationCirclePosition = function (lat, lng) {
+GoogleMap.prototype.setUserLocationCirclePosition = function (lat, lng, accuracy) {
     if (this.userLocationCircle != null && this.userLocationCircle instanceof google.maps.Circle) {
         // Show the Circle if it is hidden
         if (!this.userLocationCircle.getVisible()) {
@@ -297,6 +484,10 @@ GoogleMap.prototype.setUserLocationCirclePosition = function (lat, lng) {
         }
         // Set the location of the circle
         this.userLocationCircle.setCenter(new google.maps.LatLng(lat, lng));
+        // Coarse positions, such as those from a fallback provider, get a larger circle
+        if (this.sizeUserLocationCircleToAccuracy && accuracy > 0) {
+            this.userLocationCircle.setRadius(accuracy);
+        }
     }
 };
 
@@ -339,55 +530,476 @@ GoogleMap.prototype.zoomMap = function (zoom) {
 };
 
 /**
- * Focuses the Map on the specified location if it is not within the Map bounds or if the Map is zoomed too far out
+ * Focuses the Map on the specified location if it is not within the Map bounds or if the Map is zoomed too far out.
+ * If the accuracy is known, the Map is zoomed so that the area the user may be in fits, but not zoomed in further than
+ * the focusedZoomLevel.
  *
  * @param lat The new latitude
  * @param lng The new longitude
+ * @param accuracy How far (m) the user may be from the location
  */
-GoogleMap.prototype.focusOnLocation = function (lat, lng) {
+GoogleMap.prototype.focusOnLocation = function (lat, lng, accuracy) {
     if (this.map == null || !this.map instanceof google.maps.Map) {
         return;
     }
 
     if (!this.map.getBounds().contains(new google.maps.LatLng(lat, lng))
         || this.map.getZoom() < this.minFocusedZoomLevel) {
+        var zoom = this.focusedZoomLevel;
+        // Show the whole area the user may be in, such as for a coarse position from a fallback provider
+        if (accuracy > 0) {
+            var div = this.map.getDiv();
+            zoom = Math.min(zoom, GoogleMap.getAccuracyZoom(lat, accuracy, div.offsetWidth, div.offsetHeight));
+        }
         // Zoom in on the location
-        this.zoomMap(this.focusedZoomLevel);
+        this.zoomMap(zoom);
         // Center the map on the location
         this.centerMap(lat, lng);
     }
 };
 
 /**
- * Adds a click listener to the specified Marker that executes the onMarkerClick callback
+ * Adds a click listener to the specified Marker that executes the onMarkerClick callback.  The listener is kept on
+ * the Marker as its clickListener property.
  *
  * @param marker The Marker to add the click listener to
+ * @returns {google.maps.MapsEventListener|null} The listener if it was added, otherwise null
  */
 GoogleMap.prototype.addMarkerClickListener = function (marker) {
     if (marker == null || !marker instanceof google.maps.Marker) {
-        return;
+        return null;
     }
 
     // Make sure the onMarkerClick callback method is set
     if (this.onMarkerClickCallback != null && typeof this.onMarkerClickCallback === "function") {
         var self = this;
-        google.maps.event.addListener(marker, 'click', function () {
+        // Keep the listener on the Marker so that removeMarker can detach it
+        marker.clickListener = google.maps.event.addListener(marker, 'click', function () {
             // Execute the callback
             self.onMarkerClickCallback(marker);
         });
+        return marker.clickListener;
     }
+    return null;
 };
 
 /**
- * Removes the specified Marker from the Map
+ * Removes the specified Marker from the Map and detaches the click listener that the GoogleMap added to it.
+ * Listeners added by others are kept.
  *
  * @param marker The Marker to remove from the Map
+ * @param {google.maps.MapsEventListener} listener The listener to detach.  Defaults to the click listener that was
+ * added by addMarkerClickListener.
  */
-GoogleMap.prototype.removeMarker = function (marker) {
+GoogleMap.prototype.removeMarker = function (marker, listener) {
     if (marker == null || !marker instanceof google.maps.Marker) {
         return;
     }
 
+    if (listener == null) {
+        listener = marker.clickListener;
+    }
+    if (listener != null) {
+        google.maps.event.removeListener(listener);
+    }
+    if (listener === marker.clickListener) {
+        marker.clickListener = null;
+    }
     marker.setMap(null);
-    marker = undefined;
+};
+
+/**
+ * Adds a Marker with the specified ID to the Map.  If a Marker with the ID is already managed by the Map, it
+ * is updated with the options instead.
+ *
+ * @param id The ID to store the Marker with
+ * @param {google.maps.MarkerOptions} options The options for the Marker
+ * @returns {google.maps.Marker} The Marker that was added or updated
+ */
+GoogleMap.prototype.addMarker = function (id, options) {
+    if (this.markers.hasKey(id)) {
+        return this.updateMarker(id, options);
+    }
+
+    var marker = new google.maps.Marker(options);
+    // When clustering, the Marker will be added to the Map once the clusters are recomputed
+    if (this.clusterer != null) {
+        this.requestClusterRefresh();
+    } else {
+        marker.setMap(this.map);
+    }
+    // Execute the onMarkerClick callback with the Marker and its ID when the Marker is clicked
+    var self = this;
+    var listener = google.maps.event.addListener(marker, 'click', function () {
+        if (typeof self.onMarkerClickCallback === "function") {
+            self.onMarkerClickCallback(marker, id);
+        }
+    });
+    // Keep track of the Marker and its listener
+    this.markers.add(id, marker);
+    this.markerClickListeners.add(id, listener);
+    return marker;
+};
+
+/**
+ * Updates the Marker with the specified ID
+ *
+ * @param id The ID of the Marker to update
+ * @param {google.maps.MarkerOptions} options The new options for the Marker
+ * @returns {google.maps.Marker|null} The updated Marker if found, otherwise null
+ */
+GoogleMap.prototype.updateMarker = function (id, options) {
+    var marker = this.markers.get(id);
+    if (marker == null) {
+        return null;
+    }
+
+    marker.setOptions(options);
+    // The position may have changed
+    if (this.clusterer != null) {
+        this.requestClusterRefresh();
+    }
+    return marker;
+};
+
+/**
+ * Removes the Marker with the specified ID from the Map and detaches its click listener
+ *
+ * @param id The ID of the Marker to remove
+ */
+GoogleMap.prototype.removeMarkerById = function (id) {
+    var marker = this.markers.get(id);
+    if (marker == null) {
+        return;
+    }
+
+    // Detach the click listener
+    var listener = this.markerClickListeners.get(id);
+    if (listener != null) {
+        google.maps.event.removeListener(listener);
+    }
+    marker.setMap(null);
+    // Stop tracking the Marker
+    this.markers.deleteKey(id);
+    this.markerClickListeners.deleteKey(id);
+    if (this.clusterer != null) {
+        this.requestClusterRefresh();
+    }
+};
+
+/**
+ * Gets the Marker with the specified ID
+ *
+ * @param id The ID of the Marker
+ * @returns {google.maps.Marker|null} The Marker if found, otherwise null
+ */
+GoogleMap.prototype.getMarker = function (id) {
+    return this.markers.get(id);
+};
+
+/**
+ * Replaces the managed Markers with the specified data.  Markers whose IDs are not in the data are removed,
+ * Markers whose IDs are already managed are updated and the rest are added.
+ *
+ * @param {Array} data MarkerOptions objects that each carry an ID in the markerIdProperty
+ */
+GoogleMap.prototype.setMarkers = function (data) {
+    // Add or update the Markers in the data
+    var ids = new Collection();
+    for (var i = 0; i < data.length; i++) {
+        var id = data[i][this.markerIdProperty];
+        this.addMarker(id, data[i]);
+        ids.add(id, true);
+    }
+    // Remove the Markers that are no longer in the data
+    var keys = this.markers.keys();
+    for (var j = 0; j < keys.length; j++) {
+        if (!ids.hasKey(keys[j])) {
+            this.removeMarkerById(keys[j]);
+        }
+    }
+};
+
+/**
+ * Removes all managed Markers from the Map
+ */
+GoogleMap.prototype.clearMarkers = function () {
+    var keys = this.markers.keys();
+    for (var i = 0; i < keys.length; i++) {
+        this.removeMarkerById(keys[i]);
+    }
+};
+
+/**
+ * Enables clustering of the managed Markers
+ *
+ * @param {number} gridSize The size (px) of each grid cell
+ * @param {number|null} maxZoom The highest zoom level that Markers are clustered at
+ */
+GoogleMap.prototype.enableClustering = function (gridSize, maxZoom) {
+    this.clusterer = new GridClusterer(gridSize, maxZoom);
+    if (this.map != null && this.clusterIdleListener == null) {
+        this.addClusterIdleListener();
+    }
+    this.refreshClusters();
+};
+
+/**
+ * Disables clustering and displays all of the managed Markers individually
+ */
+GoogleMap.prototype.disableClustering = function () {
+    this.clusterer = null;
+    // Stop recomputing the clusters
+    if (this.clusterIdleListener != null) {
+        google.maps.event.removeListener(this.clusterIdleListener);
+        this.clusterIdleListener = null;
+    }
+    clearTimeout(this.clusterRefreshTimeoutId);
+    this.clusterRefreshTimeoutId = null;
+    this.clearClusterMarkers();
+    // Show all of the Markers
+    var keys = this.markers.keys();
+    for (var i = 0; i < keys.length; i++) {
+        this.markers.get(keys[i]).setMap(this.map);
+    }
+};
+
+/**
+ * Adds the listener that recomputes the clusters whenever the Map becomes idle after a pan or zoom
+ */
+GoogleMap.prototype.addClusterIdleListener = function () {
+    this.clusterIdleListener = google.maps.event.addListener(this.map, 'idle', this.refreshClusters.bind(this));
+};
+
+/**
+ * Recomputes the clusters once the current sequence of Marker changes has finished
+ */
+GoogleMap.prototype.requestClusterRefresh = function () {
+    if (this.clusterRefreshTimeoutId != null) {
+        return;
+    }
+
+    this.clusterRefreshTimeoutId = setTimeout(function () {
+        this.clusterRefreshTimeoutId = null;
+        this.refreshClusters();
+    }.bind(this), 0);
+};
+
+/**
+ * Groups the managed Markers into clusters for the current zoom level.  Markers in groups smaller than the
+ * minimumClusterSize are displayed individually while the rest are replaced by a single cluster Marker.
+ */
+GoogleMap.prototype.refreshClusters = function () {
+    if (this.clusterer == null || this.map == null || !this.map instanceof google.maps.Map) {
+        return;
+    }
+
+    // Get the positions of all the managed Markers
+    var points = [];
+    var keys = this.markers.keys();
+    for (var i = 0; i < keys.length; i++) {
+        var position = this.markers.get(keys[i]).getPosition();
+        if (position != null) {
+            points.push({id: keys[i], lat: position.lat(), lng: position.lng()});
+        }
+    }
+
+    // Replace the previous clusters
+    this.clearClusterMarkers();
+    var clusters = this.clusterer.cluster(points, this.map.getZoom());
+    for (var j = 0; j < clusters.length; j++) {
+        var isCluster = clusters[j].count >= this.minimumClusterSize;
+        // Hide the Markers that belong to a cluster and show the rest
+        for (var k = 0; k < clusters[j].points.length; k++) {
+            var marker = this.markers.get(clusters[j].points[k].id);
+            var map = isCluster ? null : this.map;
+            if (marker.getMap() !== map) {
+                marker.setMap(map);
+            }
+        }
+        if (isCluster) {
+            this.createClusterMarker(clusters[j]);
+        }
+    }
+};
+
+/**
+ * Creates the Marker that represents the specified cluster and keeps track of it and its click listener.  Clicking
+ * the Marker zooms the Map to the bounds of the cluster.
+ *
+ * @param cluster The cluster from the GridClusterer
+ * @returns {google.maps.Marker} The cluster Marker
+ */
+GoogleMap.prototype.createClusterMarker = function (cluster) {
+    var marker = new google.maps.Marker({
+        position: {lat: cluster.lat, lng: cluster.lng},
+        label: String(cluster.count),
+        zIndex: google.maps.Marker.MAX_ZINDEX + cluster.count
+    });
+    // Let the renderer determine the appearance of the cluster
+    if (typeof this.clusterIconRenderer === "function") {
+        marker.setOptions(this.clusterIconRenderer(cluster));
+    }
+    marker.setMap(this.map);
+    // Zoom in to the bounds of the cluster when clicked
+    var listener = google.maps.event.addListener(marker, 'click', function () {
+        this.map.fitBounds(cluster.bounds);
+    }.bind(this));
+    this.clusterMarkers.push(marker);
+    this.clusterMarkerListeners.push(listener);
+    return marker;
+};
+
+/**
+ * Removes all of the cluster Markers from the Map
+ */
+GoogleMap.prototype.clearClusterMarkers = function () {
+    for (var i = 0; i < this.clusterMarkers.length; i++) {
+        this.removeMarker(this.clusterMarkers[i], this.clusterMarkerListeners[i]);
+    }
+    this.clusterMarkers = [];
+    this.clusterMarkerListeners = [];
+};
+
+/**
+ * Starts checking the user's live positions against the regions of a GeofenceManager
+ *
+ * @param {GeofenceManager} geofenceManager The GeofenceManager to use.  A new one is created if not specified.
+ * @returns {GeofenceManager} The GeofenceManager
+ */
+GoogleMap.prototype.enableGeofencing = function (geofenceManager) {
+    this.geofenceManager = geofenceManager || new GeofenceManager();
+    return this.geofenceManager;
+};
+
+/**
+ * Stops checking the user's positions against the geofence regions and removes their shapes from the Map
+ */
+GoogleMap.prototype.disableGeofencing = function () {
+    this.clearGeofenceShapes();
+    this.geofenceManager = null;
+};
+
+/**
+ * Draws the current geofence regions on the Map as Circles and Polygons, replacing the previously drawn shapes
+ */
+GoogleMap.prototype.drawGeofences = function () {
+    this.clearGeofenceShapes();
+    if (this.geofenceManager == null) {
+        return;
+    }
+
+    var regions = this.geofenceManager.getRegions();
+    for (var i = 0; i < regions.length; i++) {
+        var shape;
+        if (regions[i].type === "circle") {
+            shape = new google.maps.Circle(this.geofenceCircleOptions || {});
+            shape.setCenter(regions[i].center);
+            shape.setRadius(regions[i].radius);
+        } else {
+            shape = new google.maps.Polygon(this.geofencePolygonOptions || {});
+            shape.setPath(regions[i].paths);
+        }
+        shape.setMap(this.map);
+        this.geofenceShapes.push(shape);
+    }
+};
+
+/**
+ * Removes the geofence shapes from the Map
+ */
+GoogleMap.prototype.clearGeofenceShapes = function () {
+    for (var i = 0; i < this.geofenceShapes.length; i++) {
+        this.geofenceShapes[i].setMap(null);
+    }
+    this.geofenceShapes = [];
+};
+
+/**
+ * Starts recording the user's live positions and drawing them as a Polyline on the Map
+ *
+ * @param {TrackRecorder} trackRecorder The TrackRecorder to use.  The current one, or a new one, is used if not
+ * specified.
+ * @returns {TrackRecorder} The TrackRecorder
+ */
+GoogleMap.prototype.startTrackRecording = function (trackRecorder) {
+    if (trackRecorder != null) {
+        this.trackRecorder = trackRecorder;
+    } else if (this.trackRecorder == null) {
+        this.trackRecorder = new TrackRecorder();
+    }
+    this.drawTrack();
+    this.trackRecorder.start();
+    return this.trackRecorder;
+};
+
+/**
+ * Stops recording the user's positions.  The track stays on the Map.
+ */
+GoogleMap.prototype.stopTrackRecording = function () {
+    if (this.trackRecorder != null) {
+        this.trackRecorder.stop();
+    }
+};
+
+/**
+ * Draws all of the points of the TrackRecorder as a Polyline, such as after a track was imported
+ */
+GoogleMap.prototype.drawTrack = function () {
+    if (this.trackPolyline == null) {
+        this.trackPolyline = new google.maps.Polyline(this.trackPolylineOptions || {});
+    }
+    var path = [];
+    var points = this.trackRecorder != null ? this.trackRecorder.points : [];
+    for (var i = 0; i < points.length; i++) {
+        path.push(new google.maps.LatLng(points[i].lat, points[i].lng));
+    }
+    this.trackPolyline.setPath(path);
+    this.trackPolyline.setMap(this.map);
+};
+
+/**
+ * Stops recording, removes the recorded points and removes the track from the Map
+ */
+GoogleMap.prototype.clearTrack = function () {
+    if (this.trackRecorder != null) {
+        this.trackRecorder.stop();
+        this.trackRecorder.clear();
+    }
+    if (this.trackPolyline != null) {
+        this.trackPolyline.setMap(null);
+        this.trackPolyline = null;
+    }
+};
+
+/**
+ * The number of meters a pixel covers at the equator at zoom level 0
+ *
+ * @type {number}
+ */
+GoogleMap.METERS_PER_PIXEL = 156543.03392;
+
+/**
+ * The size (px) assumed for a Map that has not been laid out yet
+ *
+ * @type {number}
+ */
+GoogleMap.DEFAULT_MAP_SIZE = 256;
+
+/**
+ * Gets the highest zoom level at which the circle around the specified location with the accuracy as its radius
+ * fits in a Map of the specified size
+ *
+ * @param {number} lat The latitude
+ * @param {number} accuracy How far (m) the user may be from the location
+ * @param {number} width The width (px) of the Map
+ * @param {number} height The height (px) of the Map
+ * @returns {number} The zoom level
+ */
+GoogleMap.getAccuracyZoom = function (lat, accuracy, width, height) {
+    var size = Math.min(width, height) > 0 ? Math.min(width, height) : GoogleMap.DEFAULT_MAP_SIZE;
+    // Pixels cover fewer meters towards the poles and half as many with each zoom level
+    var metersPerPixel = GoogleMap.METERS_PER_PIXEL * Math.cos(lat * Math.PI / 180);
+    var zoom = Math.floor(Math.log(size * metersPerPixel / (2 * accuracy)) / Math.LN2);
+    return isFinite(zoom) ? Math.max(zoom, 0) : 0;
 };
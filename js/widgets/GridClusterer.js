@@ -0,0 +1,107 @@
+/**
+ * Groups locations into clusters by dividing the world into a grid of square cells at a specific zoom level.  The
+ * calculations use the Web Mercator projection directly so they do not depend on the Google Maps API.
+ *
+ * @param {number} gridSize The size (px) of each grid cell
+ * @param {number|null} maxZoom The highest zoom level that points are grouped at
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var GridClusterer = function (gridSize, maxZoom) {
+    if (gridSize > 0) {
+        this.gridSize = gridSize;
+    }
+    if (maxZoom != null) {
+        this.maxZoom = maxZoom;
+    }
+};
+
+/**
+ * The size (px) of each grid cell
+ *
+ * @type {number}
+ */
+GridClusterer.prototype.gridSize = 60;
+
+/**
+ * The size (px) of a map tile at zoom level 0
+ *
+ * @type {number}
+ */
+GridClusterer.prototype.tileSize = 256;
+
+/**
+ * The highest zoom level that points are grouped at.  Above it, each point is its own cluster.  Set to null to group
+ * points at every zoom level.
+ *
+ * @type {number|null}
+ */
+GridClusterer.prototype.maxZoom = null;
+
+/**
+ * Projects the specified coordinates to world pixel coordinates at the specified zoom level
+ *
+ * @param {number} lat The latitude
+ * @param {number} lng The longitude
+ * @param {number} zoom The zoom level
+ * @returns {{x: number, y: number}} The pixel coordinates
+ */
+GridClusterer.prototype.project = function (lat, lng, zoom) {
+    var scale = this.tileSize * Math.pow(2, zoom);
+    // Clamp the latitude since the projection is infinite at the poles
+    var sin = Math.sin(lat * Math.PI / 180);
+    sin = Math.min(Math.max(sin, -0.9999), 0.9999);
+    return {
+        x: scale * (0.5 + lng / 360),
+        y: scale * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI))
+    };
+};
+
+/**
+ * Groups the specified points into clusters based on the grid cell they fall into at the specified zoom level.  Above
+ * the maxZoom, each point is put into its own cluster.
+ *
+ * @param {Array} points Objects that each have a lat and lng property
+ * @param {number} zoom The zoom level
+ * @returns {Array} The clusters.  Each cluster contains its points, the count, the centroid and the bounds.
+ */
+GridClusterer.prototype.cluster = function (points, zoom) {
+    var cells = {};
+    var clusters = [];
+    for (var i = 0; i < points.length; i++) {
+        var point = points[i];
+        // Determine the grid cell the point falls into
+        var pixel = this.project(point.lat, point.lng, zoom);
+        var key = this.maxZoom != null && zoom > this.maxZoom
+            ? "point:" + i
+            : Math.floor(pixel.x / this.gridSize) + ":" + Math.floor(pixel.y / this.gridSize);
+        // Start a new cluster if this is the first point in the cell
+        if (!cells.hasOwnProperty(key)) {
+            cells[key] = {
+                key: key,
+                points: [],
+                count: 0,
+                lat: 0,
+                lng: 0,
+                bounds: {north: point.lat, south: point.lat, east: point.lng, west: point.lng}
+            };
+            clusters.push(cells[key]);
+        }
+        // Add the point to the cluster
+        var cluster = cells[key];
+        cluster.points.push(point);
+        cluster.count++;
+        cluster.lat += point.lat;
+        cluster.lng += point.lng;
+        cluster.bounds.north = Math.max(cluster.bounds.north, point.lat);
+        cluster.bounds.south = Math.min(cluster.bounds.south, point.lat);
+        cluster.bounds.east = Math.max(cluster.bounds.east, point.lng);
+        cluster.bounds.west = Math.min(cluster.bounds.west, point.lng);
+    }
+    // Average the coordinates to get the centroid of each cluster
+    for (var j = 0; j < clusters.length; j++) {
+        clusters[j].lat /= clusters[j].count;
+        clusters[j].lng /= clusters[j].count;
+    }
+    return clusters;
+};
@@ -0,0 +1,354 @@
+/**
+ * Loads consecutive pages of results for a HttpQueryStringBuilder so they can be appended as they arrive.  Pages
+ * can be loaded when a sentinel element scrolls into view, when a "load more" button is clicked or manually.  The
+ * pages are requested through the builder's sendRequest, and once a page has been loaded, changing the filter
+ * parameters discards the loaded pages and loads the first page again.
+ *
+ * @param {HttpQueryStringBuilder} queryStringBuilder The builder that holds the filter parameters
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var PaginationController = function (queryStringBuilder) {
+    this.queryStringBuilder = queryStringBuilder;
+    this.filterChangeListener = this.onFilterChange.bind(this);
+    queryStringBuilder.addChangeListener(this.filterChangeListener);
+};
+
+/**
+ * The builder that holds the filter parameters
+ *
+ * @type {HttpQueryStringBuilder|null}
+ */
+PaginationController.prototype.queryStringBuilder = null;
+
+/**
+ * The last page that was successfully loaded
+ *
+ * @type {number}
+ */
+PaginationController.prototype.lastLoadedPage = 0;
+
+/**
+ * Flag to determine if there are more pages to load
+ *
+ * @type {boolean}
+ */
+PaginationController.prototype.hasMorePages = true;
+
+/**
+ * Flag to determine if a page is currently being loaded
+ *
+ * @type {boolean}
+ */
+PaginationController.prototype.isLoading = false;
+
+/**
+ * The serialized filter parameters the loaded pages belong to
+ *
+ * @type {string|null}
+ */
+PaginationController.prototype.filterState = null;
+
+/**
+ * The listener for changes to the builder's query parameters
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.filterChangeListener = null;
+
+/**
+ * The ID of the timeout that checks the filter parameters after they changed
+ *
+ * @type {number|null}
+ */
+PaginationController.prototype.filterChangeTimeoutId = null;
+
+/**
+ * Incremented on each reset so that responses for the previous filters can be ignored
+ *
+ * @type {number}
+ */
+PaginationController.prototype.requestSequence = 0;
+
+/**
+ * The element that loads the next page when it scrolls into view
+ *
+ * @type {HTMLElement|null}
+ */
+PaginationController.prototype.sentinel = null;
+
+/**
+ * The observer watching the sentinel element
+ *
+ * @type {IntersectionObserver|null}
+ */
+PaginationController.prototype.sentinelObserver = null;
+
+/**
+ * The button that loads the next page when clicked
+ *
+ * @type {HTMLElement|null}
+ */
+PaginationController.prototype.loadMoreButton = null;
+
+/**
+ * The click listener on the load more button
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.loadMoreListener = null;
+
+/**
+ * Callback that receives the response data and page number and returns true if it was the last page.  By default,
+ * an empty response is considered the end of the results.
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.endOfResultsDetector = null;
+
+/**
+ * Callback that executes with the response data and page number when a page is loaded
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.onPageLoadedCallback = null;
+
+/**
+ * Callback that executes when the loaded pages are discarded because the filters changed
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.onResetCallback = null;
+
+/**
+ * Callback that executes when the last page has been loaded
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.onEndOfResultsCallback = null;
+
+/**
+ * Callback that executes when a page fails to load
+ *
+ * @type {function|null}
+ */
+PaginationController.prototype.errorCallback = null;
+
+/**
+ * Loads the page after the last loaded page through the builder.  If the filter parameters changed since the last
+ * page was loaded, the loaded pages are discarded and the first page is loaded instead.
+ *
+ * @returns {boolean} True if a request was sent, otherwise false if a page is already loading or there are no
+ * more pages
+ */
+PaginationController.prototype.loadNextPage = function () {
+    var filterState = this.getFilterState();
+    if (this.filterState == null) {
+        this.filterState = filterState;
+    } else if (this.filterState !== filterState) {
+        this.reset();
+    }
+    if (this.isLoading || !this.hasMorePages) {
+        return false;
+    }
+
+    var page = this.lastLoadedPage + 1;
+    this.queryStringBuilder.setPage(page);
+    this.isLoading = true;
+    this.updateLoadMoreButton();
+
+    var sequence = this.requestSequence;
+    var isCurrent = function () {
+        return sequence === this.requestSequence;
+    }.bind(this);
+    var complete = function () {
+        this.isLoading = false;
+        this.updateLoadMoreButton();
+        // Re-observing reports the current intersection, so the next page loads if the sentinel is still visible
+        if (this.sentinelObserver != null && this.hasMorePages) {
+            this.sentinelObserver.unobserve(this.sentinel);
+            this.sentinelObserver.observe(this.sentinel);
+        }
+    }.bind(this);
+    this.queryStringBuilder.sendRequest().then(function (result) {
+        if (!isCurrent()) {
+            return;
+        }
+        this.lastLoadedPage = page;
+        var detector = typeof this.endOfResultsDetector === "function"
+            ? this.endOfResultsDetector
+            : PaginationController.isEmptyResponse;
+        this.hasMorePages = !detector(result.data, page);
+        complete();
+        if (typeof this.onPageLoadedCallback === "function") {
+            this.onPageLoadedCallback(result.data, page);
+        }
+        if (!this.hasMorePages && typeof this.onEndOfResultsCallback === "function") {
+            this.onEndOfResultsCallback();
+        }
+    }.bind(this), function (error) {
+        if (!isCurrent()) {
+            return;
+        }
+        complete();
+        // The request was superseded by another request of the builder
+        if (error.isAborted) {
+            return;
+        }
+        if (typeof this.errorCallback === "function") {
+            this.errorCallback(error.xhr, error.textStatus, error.errorThrown);
+        }
+    }.bind(this));
+    return true;
+};
+
+/**
+ * Discards the loaded pages and loads the first page for the current filter parameters
+ */
+PaginationController.prototype.refresh = function () {
+    this.reset();
+    this.loadNextPage();
+};
+
+/**
+ * Discards the loaded pages, aborts the request in progress and resets the builder to the first page
+ */
+PaginationController.prototype.reset = function () {
+    this.requestSequence++;
+    if (this.isLoading) {
+        this.queryStringBuilder.abortRequest();
+    }
+    this.isLoading = false;
+    this.lastLoadedPage = 0;
+    this.hasMorePages = true;
+    this.filterState = this.getFilterState();
+    this.queryStringBuilder.resetPageNumber();
+    this.updateLoadMoreButton();
+    if (typeof this.onResetCallback === "function") {
+        this.onResetCallback();
+    }
+};
+
+/**
+ * Called when the builder's query parameters change.  The check waits until the current script has finished so that
+ * several parameters changed together only reload the first page once.
+ */
+PaginationController.prototype.onFilterChange = function () {
+    if (this.filterChangeTimeoutId != null) {
+        return;
+    }
+
+    this.filterChangeTimeoutId = setTimeout(function () {
+        this.filterChangeTimeoutId = null;
+        // Nothing is shown until the first page is loaded
+        if (this.filterState != null && this.filterState !== this.getFilterState()) {
+            this.refresh();
+        }
+    }.bind(this), 0);
+};
+
+/**
+ * Stops listening to the builder, the sentinel element and the load more button and aborts the request in progress
+ */
+PaginationController.prototype.destroy = function () {
+    this.queryStringBuilder.removeChangeListener(this.filterChangeListener);
+    clearTimeout(this.filterChangeTimeoutId);
+    this.filterChangeTimeoutId = null;
+    this.unobserveSentinel();
+    this.unbindLoadMoreButton();
+    this.requestSequence++;
+    if (this.isLoading) {
+        this.queryStringBuilder.abortRequest();
+        this.isLoading = false;
+    }
+};
+
+/**
+ * Gets the serialized filter parameters of the builder, excluding the page
+ *
+ * @returns {string} The serialized filter parameters
+ */
+PaginationController.prototype.getFilterState = function () {
+    return this.queryStringBuilder.serializeQueryParameters().join("&");
+};
+
+/**
+ * Loads the next page whenever the specified element scrolls into view
+ *
+ * @param {HTMLElement} sentinel The element placed after the loaded results
+ * @param {string} rootMargin How far (CSS margin) from the viewport the sentinel is considered in view
+ */
+PaginationController.prototype.observeSentinel = function (sentinel, rootMargin) {
+    this.unobserveSentinel();
+    this.sentinel = sentinel;
+    this.sentinelObserver = new IntersectionObserver(function (entries) {
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].isIntersecting) {
+                this.loadNextPage();
+                return;
+            }
+        }
+    }.bind(this), {rootMargin: rootMargin || "0px"});
+    this.sentinelObserver.observe(sentinel);
+};
+
+/**
+ * Stops watching the sentinel element
+ */
+PaginationController.prototype.unobserveSentinel = function () {
+    if (this.sentinelObserver != null) {
+        this.sentinelObserver.disconnect();
+        this.sentinelObserver = null;
+    }
+    this.sentinel = null;
+};
+
+/**
+ * Loads the next page whenever the specified button is clicked.  The button is disabled while a page is loading
+ * and hidden once there are no more pages.
+ *
+ * @param {HTMLElement} button The load more button
+ */
+PaginationController.prototype.bindLoadMoreButton = function (button) {
+    this.unbindLoadMoreButton();
+    this.loadMoreButton = button;
+    this.loadMoreListener = function (event) {
+        event.preventDefault();
+        this.loadNextPage();
+    }.bind(this);
+    button.addEventListener('click', this.loadMoreListener);
+    this.updateLoadMoreButton();
+};
+
+/**
+ * Stops listening to the load more button
+ */
+PaginationController.prototype.unbindLoadMoreButton = function () {
+    if (this.loadMoreButton != null) {
+        this.loadMoreButton.removeEventListener('click', this.loadMoreListener);
+    }
+    this.loadMoreButton = null;
+    this.loadMoreListener = null;
+};
+
+/**
+ * Updates the load more button to reflect the loading state
+ */
+PaginationController.prototype.updateLoadMoreButton = function () {
+    if (this.loadMoreButton == null) {
+        return;
+    }
+
+    this.loadMoreButton.disabled = this.isLoading;
+    this.loadMoreButton.hidden = !this.hasMorePages;
+};
+
+/**
+ * The default end of results detector.  Considers missing data or an empty array to be the end of the results.
+ *
+ * @param data The response data
+ * @returns {boolean} True if the response is empty, otherwise false
+ */
+PaginationController.isEmptyResponse = function (data) {
+    return data == null || (Array.isArray(data) && data.length === 0);
+};
@@ -5,14 +5,17 @@
  * @param uri The URI that the request should be sent to
  * @param serverState The initial state of the toggle
  * @param parameterName The name of the HTTP request parameter that will carry the state of the ToggleButton
+ * @param transport The transport used to send requests.  Defaults to a FetchTransport.
  * @constructor
  * @author Brett Namba (https://github.com/bretten)
  */
-var ToggleButton = function (element, uri, serverState, parameterName) {
+var ToggleButton = function (element, uri, serverState, parameterName, transport) {
     this.element = element;
     this.uri = uri;
     this.serverState = this.selectedState = serverState;
     this.parameterName = parameterName;
+    this.transport = transport || new FetchTransport();
+    this.render();
 };
 
 /**
@@ -22,6 +25,13 @@ var ToggleButton = function (element, uri, serverState, parameterName) {
  */
 ToggleButton.prototype.element = null;
 
+/**
+ * The transport used to send requests
+ *
+ * @type {FetchTransport|JqueryTransport|null}
+ */
+ToggleButton.prototype.transport = null;
+
 /**
  * The URI that all HTTP requests will be directed at
  *
@@ -43,6 +53,36 @@ ToggleButton.prototype.serverState = 0;
  */
 ToggleButton.prototype.selectedState = 0;
 
+/**
+ * The ordered list of states the ToggleButton can cycle through.  The default two states behave like a boolean.
+ *
+ * @type {Array}
+ */
+ToggleButton.prototype.states = [0, 1];
+
+/**
+ * The labels of the states, keyed by state.  The label of the selected state is set as the accessible label of the
+ * element and as the text of the labelElement.
+ *
+ * @type {object|null}
+ */
+ToggleButton.prototype.stateLabels = null;
+
+/**
+ * The CSS classes of the states, keyed by state.  When not set for the default two states, the on and off classes
+ * are used instead.
+ *
+ * @type {object|null}
+ */
+ToggleButton.prototype.stateClasses = null;
+
+/**
+ * The element that displays the label of the selected state
+ *
+ * @type {HTMLElement|null}
+ */
+ToggleButton.prototype.labelElement = null;
+
 /**
  * The type of HTTP request that will be sent when the ToggleButton changes states
  *
@@ -57,6 +97,30 @@ ToggleButton.prototype.httpMethod = "POST";
  */
 ToggleButton.prototype.requestDataType = "json";
 
+/**
+ * The encoding of the request body for methods that send one: "form" or "json".  GET, HEAD and DELETE requests
+ * always send the data in the query string.
+ *
+ * @type {string}
+ */
+ToggleButton.prototype.requestBodyFormat = "form";
+
+/**
+ * Additional request parameters, such as CSRF tokens or item IDs.  Either an object or a function that receives the
+ * ToggleButton and returns an object.
+ *
+ * @type {object|function|null}
+ */
+ToggleButton.prototype.extraParameters = null;
+
+/**
+ * The values that replace the {name} placeholders in the URI.  Either an object or a function that receives the
+ * ToggleButton and returns an object.
+ *
+ * @type {object|function|null}
+ */
+ToggleButton.prototype.uriParameters = null;
+
 /**
  * The name of the HTTP request parameter that will carry the state of the ToggleButton
  *
@@ -71,6 +135,156 @@ ToggleButton.prototype.parameterName = "state";
  */
 ToggleButton.prototype.isRequestInProgress = false;
 
+/**
+ * The CSS classes that are added to the element to reflect the state of the ToggleButton
+ *
+ * @type {{on: string, off: string, pending: string, error: string, pendingSync: string}}
+ */
+ToggleButton.prototype.cssClasses = {
+    on: "toggle-on",
+    off: "toggle-off",
+    pending: "toggle-pending",
+    error: "toggle-error",
+    pendingSync: "toggle-pending-sync"
+};
+
+/**
+ * Flag to determine if the element is disabled while a HTTP request is in progress.  Only applies to the drop
+ * concurrency policy since the other policies accept changes while a request is in progress.
+ *
+ * @type {boolean}
+ */
+ToggleButton.prototype.disableWhilePending = true;
+
+/**
+ * Determines what happens when the state is changed while a HTTP request is in progress.  One of
+ * ToggleButton.CONCURRENCY_DROP, ToggleButton.CONCURRENCY_QUEUE or ToggleButton.CONCURRENCY_ABORT.
+ *
+ * @type {string}
+ */
+ToggleButton.prototype.concurrencyPolicy = "drop";
+
+/**
+ * The request that is currently in progress
+ *
+ * @type {jqXHR|XhrShim|null}
+ */
+ToggleButton.prototype.request = null;
+
+/**
+ * Incremented with each request so that aborted requests can be ignored
+ *
+ * @type {number}
+ */
+ToggleButton.prototype.requestSequence = 0;
+
+/**
+ * Settled once the state that was changed during the request in progress has been sent
+ *
+ * @type {Deferred|null}
+ */
+ToggleButton.prototype.queuedDeferred = null;
+
+/**
+ * Flag to determine if the last HTTP request was rejected by the server
+ *
+ * @type {boolean}
+ */
+ToggleButton.prototype.hasError = false;
+
+/**
+ * Flag to determine if changes that fail because of the connection are kept, persisted and retried instead of being
+ * reverted
+ *
+ * @type {boolean}
+ */
+ToggleButton.prototype.offlineMode = false;
+
+/**
+ * Flag to determine if the selected state is waiting to be synced with the server
+ *
+ * @type {boolean}
+ */
+ToggleButton.prototype.isPendingSync = false;
+
+/**
+ * The key that identifies the ToggleButton in the persisted pending changes.  Defaults to the HTTP method, URI and
+ * parameter name.
+ *
+ * @type {string|null}
+ */
+ToggleButton.prototype.syncKey = null;
+
+/**
+ * The amount of time (ms) to wait before the first retry.  The delay doubles with each failed retry.
+ *
+ * @type {number}
+ */
+ToggleButton.prototype.retryBaseDelay = 1000;
+
+/**
+ * The maximum amount of time (ms) to wait between retries
+ *
+ * @type {number}
+ */
+ToggleButton.prototype.retryMaxDelay = 60000;
+
+/**
+ * The number of retries since the change was last synced
+ *
+ * @type {number}
+ */
+ToggleButton.prototype.retryAttempts = 0;
+
+/**
+ * The ID of the timeout that will retry the pending change
+ *
+ * @type {number|null}
+ */
+ToggleButton.prototype.retryTimeoutId = null;
+
+/**
+ * The listener for the online event on the window
+ *
+ * @type {function|null}
+ */
+ToggleButton.prototype.onlineListener = null;
+
+/**
+ * Callback that executes with the selected state when a change could not be sent and is waiting to be synced
+ *
+ * @type {function|null}
+ */
+ToggleButton.prototype.onPendingSyncCallback = null;
+
+/**
+ * Callback that executes with the server state when a pending change has been synced
+ *
+ * @type {function|null}
+ */
+ToggleButton.prototype.onSyncedCallback = null;
+
+/**
+ * The click listener bound to the element
+ *
+ * @type {function|null}
+ */
+ToggleButton.prototype.clickListener = null;
+
+/**
+ * The keydown listener bound to the element
+ *
+ * @type {function|null}
+ */
+ToggleButton.prototype.keydownListener = null;
+
+/**
+ * The ToggleButtonGroup that coordinates this ToggleButton with others
+ *
+ * @type {ToggleButtonGroup|null}
+ */
+ToggleButton.prototype.group = null;
+
 /**
  * Callback method that executes before a request is made to the server
  *
@@ -103,66 +317,759 @@ ToggleButton.prototype.errorCallback = null;
  * Sets the selected state of the ToggleButton
  *
  * @param state The new state
+ * @returns {Promise} The Promise returned by sendRequest
+ * @throws {RangeError} If the state is not one of the states of the ToggleButton
  */
 ToggleButton.prototype.selectState = function (state) {
-    this.selectedState = state == true || state == 1 || state == "1" ? 1 : 0;
-    this.sendRequest();
+    state = this.normalizeState(state);
+    // Keep the selected state in sync with the request in progress if the change would be dropped
+    if (this.isRequestInProgress && this.concurrencyPolicy === ToggleButton.CONCURRENCY_DROP) {
+        return this.sendRequest();
+    }
+
+    this.selectedState = state;
+    this.hasError = false;
+    // Optimistically show the selected state before the server responds
+    this.render();
+    return this.sendRequest();
+};
+
+/**
+ * Selects the state after the selected state, wrapping around to the first state
+ *
+ * @returns {Promise} The Promise returned by sendRequest
+ */
+ToggleButton.prototype.next = function () {
+    var index = this.indexOfState(this.selectedState);
+    return this.selectState(this.states[(index + 1) % this.states.length]);
+};
+
+/**
+ * Selects the state before the selected state, wrapping around to the last state
+ *
+ * @returns {Promise} The Promise returned by sendRequest
+ */
+ToggleButton.prototype.previous = function () {
+    var index = this.indexOfState(this.selectedState);
+    return this.selectState(this.states[(index - 1 + this.states.length) % this.states.length]);
+};
+
+/**
+ * Called when the user activates the element.  Selects the next state, or lets the group decide if the ToggleButton
+ * belongs to one.
+ *
+ * @returns {Promise} The Promise returned by sendRequest or by the group
+ */
+ToggleButton.prototype.activate = function () {
+    if (this.group != null) {
+        return this.group.toggle(this);
+    }
+    return this.next();
+};
+
+/**
+ * Activates the ToggleButton when the element is clicked or when Space or Enter is pressed on it.  Elements that are
+ * not buttons are made focusable and given the button role.
+ */
+ToggleButton.prototype.bindEvents = function () {
+    if (this.element == null || this.clickListener != null) {
+        return;
+    }
+
+    this.clickListener = function (event) {
+        event.preventDefault();
+        this.activate()["catch"](ToggleButton.ignoreRejection);
+    }.bind(this);
+    this.element.addEventListener('click', this.clickListener);
+
+    // Buttons already fire click events for Space and Enter
+    if (ToggleButton.isNativeButton(this.element)) {
+        return;
+    }
+    if (!this.element.hasAttribute("role")) {
+        this.element.setAttribute("role", "button");
+    }
+    if (!this.element.hasAttribute("tabindex")) {
+        this.element.setAttribute("tabindex", "0");
+    }
+    // Links already fire click events for Enter
+    var isLink = this.element.tagName === "A" && this.element.hasAttribute("href");
+    this.keydownListener = function (event) {
+        if (event.key === " " || event.key === "Spacebar" || (event.key === "Enter" && !isLink)) {
+            event.preventDefault();
+            this.activate()["catch"](ToggleButton.ignoreRejection);
+        }
+    }.bind(this);
+    this.element.addEventListener('keydown', this.keydownListener);
+};
+
+/**
+ * Removes the listeners added by bindEvents
+ */
+ToggleButton.prototype.unbindEvents = function () {
+    if (this.clickListener != null) {
+        this.element.removeEventListener('click', this.clickListener);
+        this.clickListener = null;
+    }
+    if (this.keydownListener != null) {
+        this.element.removeEventListener('keydown', this.keydownListener);
+        this.keydownListener = null;
+    }
+};
+
+/**
+ * Determines if the ToggleButton uses the default two states
+ *
+ * @returns {boolean}
+ */
+ToggleButton.prototype.isBinary = function () {
+    return this.states.length === 2 && this.states[0] === 0 && this.states[1] === 1;
+};
+
+/**
+ * Gets the position of the specified state in the list of states.  States are compared as strings so that values
+ * read from attributes match.
+ *
+ * @param state The state
+ * @returns {number} The index of the state, or -1 if it is not one of the states
+ */
+ToggleButton.prototype.indexOfState = function (state) {
+    for (var i = 0; i < this.states.length; i++) {
+        if (this.states[i] === state || String(this.states[i]) === String(state)) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Converts the specified value to one of the states.  With the default two states, truthy values become 1 and
+ * everything else becomes 0.
+ *
+ * @param state The value to convert
+ * @returns {*} The state
+ * @throws {RangeError} If the value is not one of the states
+ */
+ToggleButton.prototype.normalizeState = function (state) {
+    if (this.isBinary()) {
+        return state == true || state == 1 || state == "1" ? 1 : 0;
+    }
+
+    var index = this.indexOfState(state);
+    if (index < 0) {
+        throw new RangeError("\"" + state + "\" is not a state of the ToggleButton.");
+    }
+    return this.states[index];
+};
+
+/**
+ * Gets the CSS class of the specified state
+ *
+ * @param state The state
+ * @returns {string|null} The CSS class, or null if the state does not have one
+ */
+ToggleButton.prototype.getStateClass = function (state) {
+    if (this.stateClasses != null && this.stateClasses.hasOwnProperty(state)) {
+        return this.stateClasses[state];
+    }
+    if (this.isBinary()) {
+        return state == 1 ? this.cssClasses.on : this.cssClasses.off;
+    }
+    return null;
+};
+
+/**
+ * Updates the element to reflect the selected state, whether a request is in progress and whether the last request
+ * was rejected
+ */
+ToggleButton.prototype.render = function () {
+    if (this.element == null) {
+        return;
+    }
+
+    // Only the class of the selected state is applied
+    var selectedIndex = this.indexOfState(this.selectedState);
+    for (var i = 0; i < this.states.length; i++) {
+        var stateClass = this.getStateClass(this.states[i]);
+        if (stateClass != null && i !== selectedIndex) {
+            this.element.classList.remove(stateClass);
+        }
+    }
+    var selectedClass = this.getStateClass(this.selectedState);
+    if (selectedClass != null) {
+        this.element.classList.add(selectedClass);
+    }
+    this.element.classList.toggle(this.cssClasses.pending, this.isRequestInProgress);
+    this.element.classList.toggle(this.cssClasses.error, this.hasError);
+    this.element.classList.toggle(this.cssClasses.pendingSync, this.isPendingSync);
+
+    // A pressed state is only meaningful for two states
+    if (this.isBinary()) {
+        this.element.setAttribute("aria-pressed", this.selectedState == 1 ? "true" : "false");
+    }
+    if (this.stateLabels != null && this.stateLabels.hasOwnProperty(this.selectedState)) {
+        this.element.setAttribute("aria-label", this.stateLabels[this.selectedState]);
+        if (this.labelElement != null) {
+            this.labelElement.textContent = this.stateLabels[this.selectedState];
+        }
+    }
+
+    if (this.disableWhilePending && this.concurrencyPolicy === ToggleButton.CONCURRENCY_DROP) {
+        // Only form controls can be disabled, so other elements are marked as disabled for assistive technologies
+        if ("disabled" in this.element) {
+            this.element.disabled = this.isRequestInProgress;
+        } else {
+            this.element.setAttribute("aria-disabled", this.isRequestInProgress ? "true" : "false");
+        }
+    }
+
+    // Let the group apply its own semantics
+    if (this.group != null) {
+        this.group.renderButton(this);
+    }
 };
 
 /**
- * Sends a HTTP request to the URI with the new state of the ToggleButton
+ * Sends a HTTP request to the URI with the new state of the ToggleButton.  If a request is already in progress, the
+ * concurrency policy determines what happens:
+ *
+ * - drop: the request is not sent
+ * - queue: the selected state is sent once the request in progress finishes, unless it matches the server state by
+ *   then.  Further changes during the request are coalesced so only the final state is sent.
+ * - abort: the request in progress is aborted and the new request is sent
+ *
+ * @returns {Promise} Resolves with {data, status, xhr, state} or rejects with a HttpRequestError.  Rejects with an
+ * aborted error if the request is dropped or aborted, or with the Error thrown by buildUri if a URI parameter does not
+ * have a value.
  */
 ToggleButton.prototype.sendRequest = function () {
+    var deferred = new Deferred();
     if (this.isRequestInProgress) {
-        return;
+        if (this.concurrencyPolicy === ToggleButton.CONCURRENCY_QUEUE) {
+            if (this.queuedDeferred == null) {
+                this.queuedDeferred = new Deferred();
+            }
+            return this.queuedDeferred.promise;
+        } else if (this.concurrencyPolicy !== ToggleButton.CONCURRENCY_ABORT) {
+            deferred.cancel(new HttpRequestError(null, "abort"));
+            return deferred.promise;
+        }
+    }
+
+    // Keep track of the state that is sent since the selected state may change before the response arrives
+    var state = this.selectedState;
+    var url, data;
+    try {
+        url = this.buildUri();
+        data = this.buildRequestData(state);
+    } catch (e) {
+        // The change cannot be sent, so revert the selected state that was optimistically rendered
+        this.selectedState = this.serverState;
+        this.render();
+        deferred.reject(e);
+        return deferred.promise;
+    }
+
+    // Replace the request in progress now that the new request can be sent
+    if (this.isRequestInProgress) {
+        this.abortRequest();
     }
+    var sequence = ++this.requestSequence;
+    var isCurrent = function () {
+        return sequence === this.requestSequence;
+    }.bind(this);
+    var isFinished = false;
 
     // Build the request object
     var ajax = {
         type: this.httpMethod,
-        url: this.uri,
+        url: url,
         dataType: this.requestDataType,
         beforeSend: function (jqXHR, settings) {
             // Indicate that a request is in progress
             this.isRequestInProgress = true;
+            this.render();
             // Execute the callback
-            if ($.isFunction(this.beforeSendCallback)) {
+            if (typeof this.beforeSendCallback === "function") {
                 this.beforeSendCallback(jqXHR, settings);
             }
         }.bind(this),
         complete: function (jqXHR, textStatus) {
+            isFinished = true;
+            // The request that replaced an aborted request is still in progress
+            if (!isCurrent()) {
+                return;
+            }
             // Indicate that the request has finished
             this.isRequestInProgress = false;
+            this.request = null;
             // Execute the callback
-            if ($.isFunction(this.completeCallback)) {
+            if (typeof this.completeCallback === "function") {
                 this.completeCallback(jqXHR, textStatus);
             }
+            // Send the state that was selected while the request was in progress
+            this.sendQueuedRequest();
+            this.render();
         }.bind(this),
         success: function (data, textStatus, jqXHR) {
-            // The selected state now reflects the server-side state
-            this.serverState = this.selectedState;
+            if (!isCurrent()) {
+                return;
+            }
+            // The sent state now reflects the server-side state
+            this.serverState = state;
             // Execute the callback
-            if ($.isFunction(this.successCallback)) {
+            if (typeof this.successCallback === "function") {
                 this.successCallback(this.serverState, data, textStatus, jqXHR);
             }
+            if (this.isPendingSync && this.selectedState == this.serverState) {
+                this.onSynced();
+            }
+            deferred.resolve({data: data, status: textStatus, xhr: jqXHR, state: this.serverState});
         }.bind(this),
         error: function (jqXHR, textStatus, errorThrown) {
-            // The request was unsuccessful, so revert the selected state back to the server-side state
-            this.selectedState = this.serverState;
+            if (!isCurrent() || textStatus === "abort") {
+                deferred.cancel(new HttpRequestError(jqXHR, "abort"));
+                return;
+            }
+            // The request could not reach the server, so keep the selected state and retry later
+            if (this.offlineMode && ToggleButton.isConnectionError(jqXHR, textStatus)) {
+                this.onPendingSync();
+            } else if (this.queuedDeferred == null) {
+                // The request was unsuccessful, so revert the selected state back to the server-side state unless the
+                // user has since selected a state that will be sent next
+                this.selectedState = this.serverState;
+                this.hasError = true;
+            }
             // Execute the callback
-            if ($.isFunction(this.errorCallback)) {
+            // Callers that only use the callbacks have already been told about the failure
+            if (typeof this.errorCallback === "function") {
                 this.errorCallback(this.serverState, jqXHR, textStatus, errorThrown);
+                deferred.rejectHandled(new HttpRequestError(jqXHR, textStatus, errorThrown));
+            } else {
+                deferred.reject(new HttpRequestError(jqXHR, textStatus, errorThrown));
             }
         }.bind(this)
     };
 
-    // If the HTTP method is POST, set the data on the request object
-    if (this.httpMethod.toUpperCase() === "POST") {
-        ajax.data = {};
-        // Set the data
-        ajax.data[this.parameterName] = this.selectedState;
+    // Set the data in the query string or the body depending on the HTTP method
+    var method = this.httpMethod.toUpperCase();
+    if (method === "GET" || method === "HEAD" || method === "DELETE") {
+        var queryString = FetchTransport.serialize(data);
+        if (queryString !== "") {
+            ajax.url += (ajax.url.indexOf("?") < 0 ? "?" : "&") + queryString;
+        }
+    } else if (this.requestBodyFormat === "json") {
+        ajax.data = JSON.stringify(data);
+        ajax.contentType = "application/json; charset=UTF-8";
+    } else {
+        ajax.data = data;
+    }
+
+    // Send the request.  A request that the transport canceled before sending it has already finished.
+    var request = this.transport.send(ajax);
+    if (!isFinished) {
+        this.request = request;
+    }
+    return deferred.promise;
+};
+
+/**
+ * Starts keeping changes that fail because of the connection.  The pending change is persisted to localStorage and
+ * retried with exponential backoff and whenever the browser comes back online.  A change that was persisted on a
+ * previous page load is restored and retried.
+ */
+ToggleButton.prototype.enableOfflineMode = function () {
+    this.offlineMode = true;
+    if (this.onlineListener == null) {
+        this.onlineListener = function () {
+            // Retry immediately and start the backoff over
+            clearTimeout(this.retryTimeoutId);
+            this.retryTimeoutId = null;
+            this.retryAttempts = 0;
+            this.retry();
+        }.bind(this);
+        window.addEventListener('online', this.onlineListener);
+    }
+
+    // Restore the change that was persisted on a previous page load
+    var syncKey = this.getSyncKey();
+    var pendingChanges = ToggleButton.loadPendingChanges();
+    if (syncKey != null && pendingChanges.hasOwnProperty(syncKey)) {
+        try {
+            this.selectedState = this.normalizeState(pendingChanges[syncKey].state);
+        } catch (e) {
+            // The states changed since the change was persisted
+            this.clearPendingChange();
+            return;
+        }
+        this.onPendingSync();
+        if (navigator.onLine !== false) {
+            this.retry();
+        }
+    }
+};
+
+/**
+ * Stops retrying the pending change.  The change stays persisted until offline mode is enabled again.
+ */
+ToggleButton.prototype.disableOfflineMode = function () {
+    this.offlineMode = false;
+    if (this.onlineListener != null) {
+        window.removeEventListener('online', this.onlineListener);
+        this.onlineListener = null;
+    }
+    clearTimeout(this.retryTimeoutId);
+    this.retryTimeoutId = null;
+};
+
+/**
+ * Gets the key that identifies the ToggleButton in the persisted pending changes
+ *
+ * @returns {string|null} The key, or null if there is no sync key and the URI cannot be built because a URI parameter
+ * does not have a value
+ */
+ToggleButton.prototype.getSyncKey = function () {
+    if (this.syncKey) {
+        return this.syncKey;
+    }
+    try {
+        return this.httpMethod.toUpperCase() + " " + this.buildUri() + " " + this.parameterName;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Called when the selected state could not be sent.  Persists it, replacing any earlier pending change for this
+ * ToggleButton, and schedules a retry.  A change without a sync key is only retried while the page is open.
+ */
+ToggleButton.prototype.onPendingSync = function () {
+    this.isPendingSync = true;
+    var syncKey = this.getSyncKey();
+    if (syncKey != null) {
+        var pendingChanges = ToggleButton.loadPendingChanges();
+        pendingChanges[syncKey] = {state: this.selectedState, updatedAt: Date.now()};
+        ToggleButton.savePendingChanges(pendingChanges);
+    }
+    this.scheduleRetry();
+    this.render();
+    if (typeof this.onPendingSyncCallback === "function") {
+        this.onPendingSyncCallback(this.selectedState);
+    }
+};
+
+/**
+ * Called when the pending change has reached the server
+ */
+ToggleButton.prototype.onSynced = function () {
+    this.isPendingSync = false;
+    this.retryAttempts = 0;
+    clearTimeout(this.retryTimeoutId);
+    this.retryTimeoutId = null;
+    this.clearPendingChange();
+    if (typeof this.onSyncedCallback === "function") {
+        this.onSyncedCallback(this.serverState);
+    }
+};
+
+/**
+ * Schedules the next retry, doubling the delay with each attempt
+ */
+ToggleButton.prototype.scheduleRetry = function () {
+    clearTimeout(this.retryTimeoutId);
+    var delay = Math.min(this.retryBaseDelay * Math.pow(2, this.retryAttempts), this.retryMaxDelay);
+    this.retryAttempts++;
+    this.retryTimeoutId = setTimeout(function () {
+        this.retryTimeoutId = null;
+        this.retry();
+    }.bind(this), delay);
+};
+
+/**
+ * Sends the pending change again
+ */
+ToggleButton.prototype.retry = function () {
+    // The request in progress will either sync the change or schedule another retry
+    if (!this.isPendingSync || this.isRequestInProgress) {
+        return;
+    }
+
+    // The user changed the state back to the server state in the meantime
+    if (this.selectedState == this.serverState) {
+        this.onSynced();
+        this.render();
+        return;
+    }
+    this.sendRequest()["catch"](ToggleButton.ignoreRejection);
+};
+
+/**
+ * Removes the persisted pending change of this ToggleButton
+ */
+ToggleButton.prototype.clearPendingChange = function () {
+    var syncKey = this.getSyncKey();
+    var pendingChanges = ToggleButton.loadPendingChanges();
+    if (syncKey != null && pendingChanges.hasOwnProperty(syncKey)) {
+        delete pendingChanges[syncKey];
+        ToggleButton.savePendingChanges(pendingChanges);
+    }
+};
+
+/**
+ * Builds the URI of the request by replacing the {name} placeholders with the URI parameters
+ *
+ * @returns {string} The URI
+ * @throws {Error} If a placeholder does not have a value
+ */
+ToggleButton.prototype.buildUri = function () {
+    var parameters = ToggleButton.resolveParameters(this.uriParameters, this);
+    return this.uri.replace(/\{([^{}]+)\}/g, function (placeholder, name) {
+        if (!parameters.hasOwnProperty(name) || parameters[name] == null) {
+            throw new Error("The URI parameter \"" + name + "\" does not have a value.");
+        }
+        return encodeURIComponent(parameters[name]);
+    });
+};
+
+/**
+ * Builds the request data from the extra parameters and the state
+ *
+ * @param state The state to send
+ * @returns {object} The request data
+ */
+ToggleButton.prototype.buildRequestData = function (state) {
+    var extraParameters = ToggleButton.resolveParameters(this.extraParameters, this);
+    var data = {};
+    for (var name in extraParameters) {
+        if (extraParameters.hasOwnProperty(name)) {
+            data[name] = extraParameters[name];
+        }
+    }
+    data[this.parameterName] = state;
+    return data;
+};
+
+/**
+ * Sends the state that was selected while the previous request was in progress.  Nothing is sent if the selected
+ * state already matches the server state.
+ */
+ToggleButton.prototype.sendQueuedRequest = function () {
+    if (this.queuedDeferred == null) {
+        return;
+    }
+
+    var queued = this.queuedDeferred;
+    this.queuedDeferred = null;
+    if (this.selectedState == this.serverState) {
+        queued.resolve({data: null, status: "nocontent", xhr: null, state: this.serverState});
+        return;
+    }
+    this.sendRequest().then(queued.resolve, queued.reject);
+};
+
+/**
+ * Aborts the request in progress without reverting the selected state
+ */
+ToggleButton.prototype.abortRequest = function () {
+    if (this.request == null) {
+        return;
     }
 
-    // Send the request
-    $.ajax(ajax);
+    var request = this.request;
+    this.request = null;
+    this.requestSequence++;
+    this.isRequestInProgress = false;
+    request.abort();
+};
+
+/**
+ * Drops changes made while a request is in progress
+ *
+ * @type {string}
+ */
+ToggleButton.CONCURRENCY_DROP = "drop";
+
+/**
+ * Sends only the last change made while a request is in progress once the request finishes
+ *
+ * @type {string}
+ */
+ToggleButton.CONCURRENCY_QUEUE = "queue";
+
+/**
+ * Aborts the request in progress and sends the latest change immediately
+ *
+ * @type {string}
+ */
+ToggleButton.CONCURRENCY_ABORT = "abort";
+
+/**
+ * Creates a ToggleButton for each element under the root that has a data-toggle-uri attribute.  The state, request
+ * parameter name, HTTP method and list of states are read from the data-toggle-state, data-toggle-param,
+ * data-toggle-method and data-toggle-states (comma separated) attributes.  Each ToggleButton is bound to its element
+ * and stored on it as the toggleButton property.  Elements that already have a ToggleButton are skipped, as are
+ * elements with invalid attributes so that they do not keep the rest from being initialized.  Those elements are left
+ * without the toggleButton property.
+ *
+ * @param {HTMLElement|Document} root The element to search, including the element itself.  Defaults to the document.
+ * @param transport The transport used to send requests
+ * @param {function|null} errorCallback Called with the element and the error for each element that could not be
+ * initialized
+ * @returns {Array} The ToggleButtons that were created
+ */
+ToggleButton.initAll = function (root, transport, errorCallback) {
+    root = root || document;
+    var elements = Array.prototype.slice.call(root.querySelectorAll("[data-toggle-uri]"));
+    if (root.nodeType === 1 && root.hasAttribute("data-toggle-uri")) {
+        elements.unshift(root);
+    }
+
+    var toggleButtons = [];
+    for (var i = 0; i < elements.length; i++) {
+        if (elements[i].toggleButton != null) {
+            continue;
+        }
+        try {
+            toggleButtons.push(ToggleButton.initElement(elements[i], transport));
+        } catch (e) {
+            if (typeof errorCallback === "function") {
+                errorCallback(elements[i], e);
+            }
+        }
+    }
+    return toggleButtons;
+};
+
+/**
+ * Creates a ToggleButton from the data attributes of the element, binds it and stores it on the element
+ *
+ * @param {HTMLElement} element The element with a data-toggle-uri attribute
+ * @param transport The transport used to send requests
+ * @returns {ToggleButton} The ToggleButton
+ * @throws {RangeError} If the data-toggle-state attribute is not one of the states
+ */
+ToggleButton.initElement = function (element, transport) {
+    var toggleButton = new ToggleButton(element, element.getAttribute("data-toggle-uri"), null,
+        element.getAttribute("data-toggle-param") || ToggleButton.prototype.parameterName, transport);
+    if (element.hasAttribute("data-toggle-method")) {
+        toggleButton.httpMethod = element.getAttribute("data-toggle-method").toUpperCase();
+    }
+    if (element.hasAttribute("data-toggle-states")) {
+        toggleButton.states = element.getAttribute("data-toggle-states").split(",").map(function (state) {
+            return state.trim();
+        });
+    }
+    // Read the state once the list of states is known
+    toggleButton.serverState = toggleButton.selectedState =
+        element.hasAttribute("data-toggle-state")
+            ? toggleButton.normalizeState(element.getAttribute("data-toggle-state").trim())
+            : toggleButton.states[0];
+    toggleButton.render();
+    toggleButton.bindEvents();
+    element.toggleButton = toggleButton;
+    return toggleButton;
+};
+
+/**
+ * Creates ToggleButtons for the elements under the root now and whenever elements with a data-toggle-uri attribute
+ * are added later
+ *
+ * @param {HTMLElement|Document} root The element to watch.  Defaults to the document.
+ * @param transport The transport used to send requests
+ * @param {function|null} errorCallback Called with the element and the error for each element that could not be
+ * initialized
+ * @returns {MutationObserver} The observer, which can be disconnected to stop watching
+ */
+ToggleButton.observe = function (root, transport, errorCallback) {
+    root = root || document;
+    ToggleButton.initAll(root, transport, errorCallback);
+    var observer = new MutationObserver(function (mutations) {
+        for (var i = 0; i < mutations.length; i++) {
+            for (var j = 0; j < mutations[i].addedNodes.length; j++) {
+                if (mutations[i].addedNodes[j].nodeType === 1) {
+                    ToggleButton.initAll(mutations[i].addedNodes[j], transport, errorCallback);
+                }
+            }
+        }
+    });
+    observer.observe(root, {childList: true, subtree: true});
+    return observer;
+};
+
+/**
+ * Handles the rejection of a change that nobody is waiting on, such as one made by clicking the element.  The failure
+ * has already been reported through the callbacks and rendered.
+ */
+ToggleButton.ignoreRejection = function () {
+
+};
+
+/**
+ * The localStorage key that holds the pending changes of all ToggleButtons
+ *
+ * @type {string}
+ */
+ToggleButton.pendingChangesStorageKey = "ToggleButton.pendingChanges";
+
+/**
+ * Loads the pending changes of all ToggleButtons from localStorage
+ *
+ * @returns {object} The pending changes keyed by sync key
+ */
+ToggleButton.loadPendingChanges = function () {
+    try {
+        return JSON.parse(window.localStorage.getItem(ToggleButton.pendingChangesStorageKey)) || {};
+    } catch (e) {
+        // Storage is unavailable or the value is corrupt
+        return {};
+    }
+};
+
+/**
+ * Saves the pending changes of all ToggleButtons to localStorage
+ *
+ * @param {object} pendingChanges The pending changes keyed by sync key
+ */
+ToggleButton.savePendingChanges = function (pendingChanges) {
+    try {
+        window.localStorage.setItem(ToggleButton.pendingChangesStorageKey, JSON.stringify(pendingChanges));
+    } catch (e) {
+        // Storage is unavailable or full, so the change is only retried while the page is open
+    }
+};
+
+/**
+ * Determines if a request failed because the server could not be reached rather than because it rejected the request
+ *
+ * @param xhr The request object
+ * @param {string} textStatus The type of error
+ * @returns {boolean}
+ */
+ToggleButton.isConnectionError = function (xhr, textStatus) {
+    return textStatus === "timeout" || (xhr != null && xhr.status === 0) || navigator.onLine === false;
+};
+
+/**
+ * Gets the parameters from an object or from a function that returns them
+ *
+ * @param {object|function|null} parameters The parameters or the function that returns them
+ * @param {ToggleButton} toggleButton The ToggleButton passed to the function
+ * @returns {object} The parameters
+ */
+ToggleButton.resolveParameters = function (parameters, toggleButton) {
+    if (typeof parameters === "function") {
+        parameters = parameters(toggleButton);
+    }
+    return parameters || {};
+};
+
+/**
+ * Determines if the specified element is a native button that fires click events from the keyboard
+ *
+ * @param {HTMLElement} element The element
+ * @returns {boolean}
+ */
+ToggleButton.isNativeButton = function (element) {
+    return element.tagName === "BUTTON"
+        || (element.tagName === "INPUT" && /^(button|submit|reset)$/i.test(element.type));
 };
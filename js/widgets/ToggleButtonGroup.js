@@ -0,0 +1,408 @@
+/**
+ * Coordinates a set of two-state ToggleButtons so that at most a limited number of them are on.  With a limit of one,
+ * the group behaves like a radio group: turning a ToggleButton on turns the others off and the arrow keys move the
+ * selection.  If the server rejects any part of a change, the whole group is rolled back.
+ *
+ * @param {HTMLElement|null} element The element containing the ToggleButtons
+ * @param {number} maxSelected The maximum number of ToggleButtons that can be on at once
+ * @param transport The transport used to send batched requests.  Defaults to a FetchTransport.
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var ToggleButtonGroup = function (element, maxSelected, transport) {
+    this.element = element;
+    this.buttons = [];
+    this.values = [];
+    this.keydownListeners = [];
+    if (maxSelected > 0) {
+        this.maxSelected = maxSelected;
+    }
+    this.transport = transport || new FetchTransport();
+    if (this.element != null && this.isExclusive()) {
+        this.element.setAttribute("role", "radiogroup");
+    }
+};
+
+/**
+ * The element containing the ToggleButtons
+ *
+ * @type {HTMLElement|null}
+ */
+ToggleButtonGroup.prototype.element = null;
+
+/**
+ * The ToggleButtons in the group
+ *
+ * @type {Array}
+ */
+ToggleButtonGroup.prototype.buttons = [];
+
+/**
+ * The values that identify each ToggleButton in batched requests, in the same order as the ToggleButtons
+ *
+ * @type {Array}
+ */
+ToggleButtonGroup.prototype.values = [];
+
+/**
+ * The keydown listeners bound to the elements of the ToggleButtons, in the same order as the ToggleButtons
+ *
+ * @type {Array}
+ */
+ToggleButtonGroup.prototype.keydownListeners = [];
+
+/**
+ * The maximum number of ToggleButtons that can be on at once
+ *
+ * @type {number}
+ */
+ToggleButtonGroup.prototype.maxSelected = 1;
+
+/**
+ * The transport used to send batched requests
+ *
+ * @type {FetchTransport|JqueryTransport|null}
+ */
+ToggleButtonGroup.prototype.transport = null;
+
+/**
+ * The URI that a single request for the whole group is sent to.  While this is null, each ToggleButton sends its own
+ * request.
+ *
+ * @type {string|null}
+ */
+ToggleButtonGroup.prototype.batchUri = null;
+
+/**
+ * The type of HTTP request that is sent for the whole group
+ *
+ * @type {string}
+ */
+ToggleButtonGroup.prototype.batchHttpMethod = "POST";
+
+/**
+ * The name of the HTTP request parameter that carries the values of the ToggleButtons that are on
+ *
+ * @type {string}
+ */
+ToggleButtonGroup.prototype.batchParameterName = "selected";
+
+/**
+ * Flag to determine if a change to the group is being sent to the server
+ *
+ * @type {boolean}
+ */
+ToggleButtonGroup.prototype.isRequestInProgress = false;
+
+/**
+ * Callback that executes with the values of the ToggleButtons that are on after a change is accepted by the server
+ *
+ * @type {function|null}
+ */
+ToggleButtonGroup.prototype.successCallback = null;
+
+/**
+ * Callback that executes with the error after a change is rejected and the group is rolled back
+ *
+ * @type {function|null}
+ */
+ToggleButtonGroup.prototype.errorCallback = null;
+
+/**
+ * Adds a ToggleButton to the group
+ *
+ * @param {ToggleButton} button The ToggleButton
+ * @param value The value that identifies the ToggleButton in batched requests.  Defaults to the data-toggle-value
+ * attribute of the element or the position of the ToggleButton in the group.
+ * @returns {ToggleButtonGroup} Reference to the current instance for chaining
+ */
+ToggleButtonGroup.prototype.add = function (button, value) {
+    if (value === undefined) {
+        value = button.element != null && button.element.hasAttribute("data-toggle-value")
+            ? button.element.getAttribute("data-toggle-value")
+            : this.buttons.length;
+    }
+    // Move focus between the ToggleButtons with the arrow keys
+    var keydownListener = this.onKeydown.bind(this, button);
+    if (button.element != null) {
+        button.element.addEventListener('keydown', keydownListener);
+    }
+    this.buttons.push(button);
+    this.values.push(value);
+    this.keydownListeners.push(keydownListener);
+    button.group = this;
+    this.render();
+    return this;
+};
+
+/**
+ * Removes a ToggleButton from the group
+ *
+ * @param {ToggleButton} button The ToggleButton
+ * @returns {ToggleButtonGroup} Reference to the current instance for chaining
+ */
+ToggleButtonGroup.prototype.remove = function (button) {
+    var index = this.buttons.indexOf(button);
+    if (index < 0) {
+        return this;
+    }
+
+    if (button.element != null) {
+        button.element.removeEventListener('keydown', this.keydownListeners[index]);
+    }
+    this.buttons.splice(index, 1);
+    this.values.splice(index, 1);
+    this.keydownListeners.splice(index, 1);
+    button.group = null;
+    button.render();
+    this.render();
+    return this;
+};
+
+/**
+ * Determines if only one ToggleButton can be on at once
+ *
+ * @returns {boolean}
+ */
+ToggleButtonGroup.prototype.isExclusive = function () {
+    return this.maxSelected === 1;
+};
+
+/**
+ * Gets the ToggleButtons that are on
+ *
+ * @returns {Array} The ToggleButtons
+ */
+ToggleButtonGroup.prototype.getSelectedButtons = function () {
+    return this.buttons.filter(function (button) {
+        return button.selectedState == 1;
+    });
+};
+
+/**
+ * Gets the values of the ToggleButtons that are on
+ *
+ * @returns {Array} The values
+ */
+ToggleButtonGroup.prototype.getSelectedValues = function () {
+    var values = [];
+    for (var i = 0; i < this.buttons.length; i++) {
+        if (this.buttons[i].selectedState == 1) {
+            values.push(this.values[i]);
+        }
+    }
+    return values;
+};
+
+/**
+ * Toggles the specified ToggleButton.  In an exclusive group, turning a ToggleButton on turns the others off and the
+ * ToggleButton that is on cannot be turned off.  Otherwise, a ToggleButton cannot be turned on once the maximum
+ * number are on.
+ *
+ * @param {ToggleButton} button The ToggleButton
+ * @returns {Promise} Resolves with the values of the ToggleButtons that are on, or rejects if the change is not
+ * allowed or is rejected by the server
+ */
+ToggleButtonGroup.prototype.toggle = function (button) {
+    var deferred = new Deferred();
+    if (this.isRequestInProgress) {
+        deferred.cancel(new HttpRequestError(null, "abort"));
+        return deferred.promise;
+    }
+
+    var changes = [];
+    if (button.selectedState == 1) {
+        if (this.isExclusive()) {
+            deferred.resolve(this.getSelectedValues());
+            return deferred.promise;
+        }
+        changes.push({button: button, state: 0});
+    } else {
+        var selectedButtons = this.getSelectedButtons();
+        if (this.isExclusive()) {
+            for (var i = 0; i < selectedButtons.length; i++) {
+                changes.push({button: selectedButtons[i], state: 0});
+            }
+        } else if (selectedButtons.length >= this.maxSelected) {
+            deferred.reject(new RangeError("No more than " + this.maxSelected + " can be selected."));
+            return deferred.promise;
+        }
+        changes.push({button: button, state: 1});
+    }
+    return this.applyChanges(changes);
+};
+
+/**
+ * Applies the changes to the ToggleButtons and sends them to the server, either as one batched request or as one
+ * request per ToggleButton.  If any of them fails, every ToggleButton is rolled back to its state before the change.
+ *
+ * @param {Array} changes Objects containing a ToggleButton and the state to select
+ * @returns {Promise} Resolves with the values of the ToggleButtons that are on or rejects with the first error
+ */
+ToggleButtonGroup.prototype.applyChanges = function (changes) {
+    var deferred = new Deferred();
+    var snapshot = this.buttons.map(function (button) {
+        return button.serverState;
+    });
+    this.isRequestInProgress = true;
+
+    var onSuccess = function () {
+        this.isRequestInProgress = false;
+        if (typeof this.successCallback === "function") {
+            this.successCallback(this.getSelectedValues());
+        }
+        deferred.resolve(this.getSelectedValues());
+    }.bind(this);
+    var onError = function (error) {
+        this.isRequestInProgress = false;
+        this.rollback(snapshot);
+        // Callers that only use the callbacks have already been told about the failure
+        if (typeof this.errorCallback === "function") {
+            this.errorCallback(error);
+            deferred.rejectHandled(error);
+        } else if (error.isAborted) {
+            deferred.cancel(error);
+        } else {
+            deferred.reject(error);
+        }
+    }.bind(this);
+
+    if (this.batchUri != null) {
+        this.sendBatchRequest(changes).then(onSuccess, onError);
+        return deferred.promise;
+    }
+
+    // Wait for every request to finish so the rollback knows which ones reached the server
+    var results = changes.map(function (change) {
+        return change.button.selectState(change.state).then(function () {
+            return null;
+        }, function (error) {
+            return error;
+        });
+    });
+    Promise.all(results).then(function (errors) {
+        for (var i = 0; i < errors.length; i++) {
+            if (errors[i] != null) {
+                onError(errors[i]);
+                return;
+            }
+        }
+        onSuccess();
+    });
+    return deferred.promise;
+};
+
+/**
+ * Optimistically applies the changes and sends the values of the ToggleButtons that are on in a single request
+ *
+ * @param {Array} changes Objects containing a ToggleButton and the state to select
+ * @returns {Promise} Resolves with {data, status, xhr} or rejects with a HttpRequestError
+ */
+ToggleButtonGroup.prototype.sendBatchRequest = function (changes) {
+    var deferred = new Deferred();
+    for (var i = 0; i < changes.length; i++) {
+        changes[i].button.selectedState = changes[i].state;
+        changes[i].button.hasError = false;
+        changes[i].button.render();
+    }
+
+    var data = {};
+    data[this.batchParameterName] = this.getSelectedValues();
+    this.transport.send({
+        type: this.batchHttpMethod,
+        url: this.batchUri,
+        data: data,
+        success: function (data, textStatus, xhr) {
+            // Every ToggleButton now reflects the server-side state
+            for (var j = 0; j < this.buttons.length; j++) {
+                this.buttons[j].serverState = this.buttons[j].selectedState;
+            }
+            deferred.resolve({data: data, status: textStatus, xhr: xhr});
+        }.bind(this),
+        error: function (xhr, textStatus, errorThrown) {
+            deferred.reject(new HttpRequestError(xhr, textStatus, errorThrown));
+        }
+    });
+    return deferred.promise;
+};
+
+/**
+ * Returns every ToggleButton to the specified server states.  ToggleButtons whose change already reached the server
+ * send a request to undo it.
+ *
+ * @param {Array} snapshot The server states of the ToggleButtons before the change
+ */
+ToggleButtonGroup.prototype.rollback = function (snapshot) {
+    for (var i = 0; i < this.buttons.length; i++) {
+        var button = this.buttons[i];
+        if (button.serverState != snapshot[i]) {
+            button.selectState(snapshot[i])["catch"](ToggleButton.ignoreRejection);
+        } else if (button.selectedState != snapshot[i]) {
+            button.selectedState = snapshot[i];
+            button.hasError = true;
+            button.render();
+        }
+    }
+};
+
+/**
+ * Updates the roles, checked states and tab order of all ToggleButtons
+ */
+ToggleButtonGroup.prototype.render = function () {
+    for (var i = 0; i < this.buttons.length; i++) {
+        this.renderButton(this.buttons[i]);
+    }
+};
+
+/**
+ * Applies the radio semantics to a ToggleButton in an exclusive group.  Only the ToggleButton that is on, or the
+ * first one if none are, can be reached with the Tab key.
+ *
+ * @param {ToggleButton} button The ToggleButton
+ */
+ToggleButtonGroup.prototype.renderButton = function (button) {
+    if (button.element == null || !this.isExclusive()) {
+        return;
+    }
+
+    button.element.setAttribute("role", "radio");
+    button.element.removeAttribute("aria-pressed");
+    button.element.setAttribute("aria-checked", button.selectedState == 1 ? "true" : "false");
+    var selectedButtons = this.getSelectedButtons();
+    var tabStop = selectedButtons.length > 0 ? selectedButtons[0] : this.buttons[0];
+    button.element.setAttribute("tabindex", button === tabStop ? "0" : "-1");
+};
+
+/**
+ * Moves focus to the next or previous ToggleButton with the arrow keys, or the first or last with Home and End.  In an
+ * exclusive group, the focused ToggleButton is also turned on.
+ *
+ * @param {ToggleButton} button The ToggleButton that received the event
+ * @param {KeyboardEvent} event The keydown event
+ */
+ToggleButtonGroup.prototype.onKeydown = function (button, event) {
+    var index = this.buttons.indexOf(button);
+    var count = this.buttons.length;
+    var target;
+    if (event.key === "ArrowRight" || event.key === "ArrowDown" || event.key === "Right" || event.key === "Down") {
+        target = (index + 1) % count;
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowUp" || event.key === "Left" || event.key === "Up") {
+        target = (index - 1 + count) % count;
+    } else if (event.key === "Home") {
+        target = 0;
+    } else if (event.key === "End") {
+        target = count - 1;
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+    var targetButton = this.buttons[target];
+    if (targetButton.element == null) {
+        return;
+    }
+    targetButton.element.focus();
+    if (this.isExclusive() && targetButton.selectedState != 1) {
+        this.toggle(targetButton)["catch"](ToggleButton.ignoreRejection);
+    }
+};
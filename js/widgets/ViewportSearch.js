@@ -0,0 +1,324 @@
+/**
+ * Binds the viewport of a GoogleMap to the query parameters of a HttpQueryStringBuilder.  Whenever the Map
+ * settles on a new area, the bounds are set as query parameters, the builder sends the request and the Markers on
+ * the Map are replaced with the results.  Since the request goes through the builder, its cache, history sync and
+ * callbacks apply to the search.
+ *
+ * @param {GoogleMap} googleMap The GoogleMap whose viewport will be searched
+ * @param {HttpQueryStringBuilder} queryStringBuilder The builder that holds the rest of the search parameters
+ * @constructor
+ * @author Brett Namba (https://github.com/bretten)
+ */
+var ViewportSearch = function (googleMap, queryStringBuilder) {
+    this.googleMap = googleMap;
+    this.queryStringBuilder = queryStringBuilder;
+    this.parameterNames = {
+        north: "north",
+        south: "south",
+        east: "east",
+        west: "west"
+    };
+};
+
+/**
+ * The GoogleMap whose viewport will be searched
+ *
+ * @type {GoogleMap|null}
+ */
+ViewportSearch.prototype.googleMap = null;
+
+/**
+ * The builder that holds the search parameters
+ *
+ * @type {HttpQueryStringBuilder|null}
+ */
+ViewportSearch.prototype.queryStringBuilder = null;
+
+/**
+ * The names of the query parameters that will carry each edge of the bounding box
+ *
+ * @type {{north: string, south: string, east: string, west: string}|null}
+ */
+ViewportSearch.prototype.parameterNames = null;
+
+/**
+ * The number of decimal places the bounding box coordinates are rounded to
+ *
+ * @type {number}
+ */
+ViewportSearch.prototype.coordinatePrecision = 6;
+
+/**
+ * The amount of time (ms) the Map needs to stay idle before a search is sent
+ *
+ * @type {number}
+ */
+ViewportSearch.prototype.debounceDelay = 500;
+
+/**
+ * The fraction of the previously searched viewport that the Map needs to be panned or zoomed by before a new
+ * search is sent
+ *
+ * @type {number}
+ */
+ViewportSearch.prototype.minimumPanRatio = 0.25;
+
+/**
+ * The bounds of the last search
+ *
+ * @type {google.maps.LatLngBoundsLiteral|null}
+ */
+ViewportSearch.prototype.lastSearchBounds = null;
+
+/**
+ * The listener for the idle event on the Map
+ *
+ * @type {google.maps.MapsEventListener|null}
+ */
+ViewportSearch.prototype.idleListener = null;
+
+/**
+ * The ID of the timeout that will send the next search
+ *
+ * @type {number|null}
+ */
+ViewportSearch.prototype.debounceTimeoutId = null;
+
+/**
+ * Incremented with each search and cancellation so that responses from superseded or cancelled searches can be
+ * ignored
+ *
+ * @type {number}
+ */
+ViewportSearch.prototype.requestSequence = 0;
+
+/**
+ * Callback that converts the response data into the Marker data that is passed to GoogleMap.setMarkers
+ *
+ * @type {function|null}
+ */
+ViewportSearch.prototype.responseMapper = null;
+
+/**
+ * Callback that will be fired after a search that was not superseded or cancelled has finished
+ *
+ * @type {function|null}
+ */
+ViewportSearch.prototype.completeCallback = null;
+
+/**
+ * Callback that will be fired after the Markers have been updated with the response
+ *
+ * @type {function|null}
+ */
+ViewportSearch.prototype.successCallback = null;
+
+/**
+ * Callback that will be fired upon failure of the HTTP request
+ *
+ * @type {function|null}
+ */
+ViewportSearch.prototype.errorCallback = null;
+
+/**
+ * Sets the names of the query parameters that will carry each edge of the bounding box
+ *
+ * @param {{north: string, south: string, east: string, west: string}} parameterNames The parameter names
+ * @returns {ViewportSearch} Reference to the current instance for chaining
+ */
+ViewportSearch.prototype.setParameterNames = function (parameterNames) {
+    this.parameterNames = parameterNames;
+    return this;
+};
+
+/**
+ * Sets the callback that converts the response data into Marker data
+ *
+ * @param {function|null} responseMapper The response mapper
+ * @returns {ViewportSearch} Reference to the current instance for chaining
+ */
+ViewportSearch.prototype.setResponseMapper = function (responseMapper) {
+    this.responseMapper = responseMapper;
+    return this;
+};
+
+/**
+ * Sets the complete callback
+ *
+ * @param {function|null} completeCallback
+ * @returns {ViewportSearch} Reference to the current instance for chaining
+ */
+ViewportSearch.prototype.setCompleteCallback = function (completeCallback) {
+    this.completeCallback = completeCallback;
+    return this;
+};
+
+/**
+ * Sets the success callback
+ *
+ * @param {function|null} successCallback
+ * @returns {ViewportSearch} Reference to the current instance for chaining
+ */
+ViewportSearch.prototype.setSuccessCallback = function (successCallback) {
+    this.successCallback = successCallback;
+    return this;
+};
+
+/**
+ * Sets the error callback
+ *
+ * @param {function|null} errorCallback
+ * @returns {ViewportSearch} Reference to the current instance for chaining
+ */
+ViewportSearch.prototype.setErrorCallback = function (errorCallback) {
+    this.errorCallback = errorCallback;
+    return this;
+};
+
+/**
+ * Starts searching the viewport whenever the Map becomes idle.  The Map needs to be initialized first.
+ */
+ViewportSearch.prototype.enable = function () {
+    if (this.idleListener != null || this.googleMap.map == null) {
+        return;
+    }
+
+    this.idleListener = google.maps.event.addListener(this.googleMap.map, 'idle', this.onMapIdle.bind(this));
+};
+
+/**
+ * Stops searching the viewport and cancels any pending search
+ */
+ViewportSearch.prototype.disable = function () {
+    if (this.idleListener != null) {
+        google.maps.event.removeListener(this.idleListener);
+        this.idleListener = null;
+    }
+    this.cancel();
+};
+
+/**
+ * Cancels the pending search and aborts the builder's request that is in progress
+ */
+ViewportSearch.prototype.cancel = function () {
+    clearTimeout(this.debounceTimeoutId);
+    this.debounceTimeoutId = null;
+    // Make sure the response of the current search is ignored, even if it already came from the cache
+    this.requestSequence++;
+    this.queryStringBuilder.abortRequest();
+};
+
+/**
+ * Called when the Map becomes idle.  Waits for the debounce delay before searching so that a quick succession of
+ * pans and zooms only results in one search.
+ */
+ViewportSearch.prototype.onMapIdle = function () {
+    clearTimeout(this.debounceTimeoutId);
+    this.debounceTimeoutId = setTimeout(function () {
+        this.debounceTimeoutId = null;
+        var bounds = this.googleMap.map.getBounds();
+        if (bounds != null && this.hasViewportChanged(bounds.toJSON())) {
+            this.search();
+        }
+    }.bind(this), this.debounceDelay);
+};
+
+/**
+ * Determines if the specified bounds differ enough from the bounds of the last search to warrant a new search
+ *
+ * @param {google.maps.LatLngBoundsLiteral} bounds The bounds to compare
+ * @returns {boolean} True if the viewport was panned or zoomed past the minimumPanRatio, otherwise false
+ */
+ViewportSearch.prototype.hasViewportChanged = function (bounds) {
+    var last = this.lastSearchBounds;
+    if (last == null) {
+        return true;
+    }
+
+    // Compare the size of the viewports to detect zooming
+    var lastLatSpan = last.north - last.south;
+    var lastLngSpan = ViewportSearch.getLongitudeSpan(last.west, last.east);
+    var latSpan = bounds.north - bounds.south;
+    var lngSpan = ViewportSearch.getLongitudeSpan(bounds.west, bounds.east);
+    if (Math.abs(latSpan - lastLatSpan) > lastLatSpan * this.minimumPanRatio
+        || Math.abs(lngSpan - lastLngSpan) > lastLngSpan * this.minimumPanRatio) {
+        return true;
+    }
+
+    // Compare the centers of the viewports to detect panning
+    var latShift = Math.abs((bounds.north + bounds.south) / 2 - (last.north + last.south) / 2);
+    var lngShift = ViewportSearch.getLongitudeSpan(last.west + lastLngSpan / 2, bounds.west + lngSpan / 2);
+    lngShift = Math.min(lngShift, 360 - lngShift);
+    return latShift > lastLatSpan * this.minimumPanRatio || lngShift > lastLngSpan * this.minimumPanRatio;
+};
+
+/**
+ * Sets the current bounds of the Map as query parameters and sends the search request through the builder.  Any
+ * search that is still in progress is superseded.  If the builder serves a stale cached response, the Markers are
+ * replaced again with the revalidated response.
+ */
+ViewportSearch.prototype.search = function () {
+    var bounds = this.googleMap.map.getBounds();
+    if (bounds == null) {
+        return;
+    }
+
+    // Set the bounding box on the query parameters
+    var literal = bounds.toJSON();
+    var edges = ["north", "south", "east", "west"];
+    for (var i = 0; i < edges.length; i++) {
+        this.queryStringBuilder.addQueryParameter(
+            this.parameterNames[edges[i]], literal[edges[i]].toFixed(this.coordinatePrecision));
+    }
+    this.lastSearchBounds = literal;
+
+    // The builder supersedes the previous search
+    var sequence = ++this.requestSequence;
+    var isCurrent = function () {
+        return sequence === this.requestSequence;
+    }.bind(this);
+    var onSuccess = function (result) {
+        if (!isCurrent()) {
+            return;
+        }
+        // Replace the Markers with the results
+        var markers = typeof this.responseMapper === "function" ? this.responseMapper(result.data) : result.data;
+        this.googleMap.setMarkers(markers);
+        if (typeof this.successCallback === "function") {
+            this.successCallback(result.data, result.status, result.xhr, result.isFromCache);
+        }
+        if (typeof this.completeCallback === "function") {
+            this.completeCallback(result.xhr, result.status);
+        }
+        // Replace the stale Markers once the builder has revalidated the cached response
+        if (result.revalidation != null) {
+            result.revalidation.then(onSuccess, onError);
+        }
+    }.bind(this);
+    var onError = function (error) {
+        // Superseded and cancelled searches are expected
+        if (!isCurrent() || error.isAborted) {
+            return;
+        }
+        if (typeof this.errorCallback === "function") {
+            this.errorCallback(error.xhr, error.textStatus, error.errorThrown);
+        }
+        if (typeof this.completeCallback === "function") {
+            this.completeCallback(error.xhr, error.textStatus);
+        }
+    }.bind(this);
+    this.queryStringBuilder.sendRequest().then(onSuccess, onError);
+};
+
+/**
+ * Gets the number of degrees spanned when moving east from one longitude to another, accounting for the
+ * antimeridian
+ *
+ * @param {number} west The western longitude
+ * @param {number} east The eastern longitude
+ * @returns {number} The span in degrees
+ */
+ViewportSearch.getLongitudeSpan = function (west, east) {
+    var span = east - west;
+    return span < 0 ? span + 360 : span;
+};
@@ -0,0 +1,16 @@
+/**
+ * Collects the rejections that are reported as unhandled until the returned function is called
+ *
+ * @returns {function} Stops collecting and returns the reasons of the unhandled rejections
+ */
+module.exports = function () {
+    var reasons = [];
+    var listener = function (reason) {
+        reasons.push(reason);
+    };
+    process.on('unhandledRejection', listener);
+    return function () {
+        process.removeListener('unhandledRejection', listener);
+        return reasons;
+    };
+};
@@ -0,0 +1,18 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['collections/Collection']);
+
+test('remove keeps the key while deleteKey deletes it', function () {
+    var collection = new Collection();
+    collection.add("a", 1);
+    collection.add("b", 2);
+    collection.remove("a");
+    collection.deleteKey("b");
+
+    assert.deepStrictEqual(collection.keys(), []);
+    assert.deepStrictEqual(Object.keys(collection.objects), ["a"]);
+    assert.strictEqual(collection.get("b"), null);
+    assert.strictEqual(collection.hasKey("b"), false);
+});
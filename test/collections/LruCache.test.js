@@ -0,0 +1,107 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['collections/Collection', 'collections/LruCache']);
+
+/**
+ * Creates a LruCache with the specified keys, each storing its own name
+ *
+ * @param {Array} keys The keys to store
+ * @returns {LruCache}
+ */
+var createCache = function (keys) {
+    var cache = new LruCache(10, 0);
+    for (var i = 0; i < keys.length; i++) {
+        cache.set(keys[i], keys[i]);
+    }
+    return cache;
+};
+
+test('set evicts the least recently used entry and deletes its key', function () {
+    var cache = new LruCache(2, 0);
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+
+    assert.strictEqual(cache.get("b"), null);
+    assert.strictEqual(cache.get("a"), 1);
+    assert.strictEqual(cache.get("c"), 3);
+    assert.deepStrictEqual(Object.keys(cache.entries.objects).sort(), ["a", "c"]);
+});
+
+test('set replaces the value of an existing key without evicting another entry', function () {
+    var cache = new LruCache(2, 0);
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("a", 3);
+
+    assert.deepStrictEqual(cache.keys, ["b", "a"]);
+    assert.strictEqual(cache.get("a"), 3);
+    assert.strictEqual(cache.get("b"), 2);
+});
+
+test('the entries do not grow when many keys are evicted', function () {
+    var cache = new LruCache(5, 0);
+    for (var i = 0; i < 100; i++) {
+        cache.set("key" + i, i);
+    }
+
+    assert.strictEqual(cache.keys.length, 5);
+    assert.strictEqual(Object.keys(cache.entries.objects).length, 5);
+});
+
+test('get only returns fresh values while getEntry also returns expired entries', function () {
+    var cache = new LruCache(10, 1000);
+    cache.set("a", 1);
+
+    assert.strictEqual(cache.get("a"), 1);
+    assert.strictEqual(cache.isFresh(cache.getEntry("a")), true);
+
+    cache.getEntry("a").storedAt = Date.now() - 1000;
+
+    assert.strictEqual(cache.get("a"), null);
+    assert.strictEqual(cache.getEntry("a").value, 1);
+    assert.strictEqual(cache.isFresh(cache.getEntry("a")), false);
+});
+
+test('entries never expire without a time to live', function () {
+    var cache = new LruCache(10, 0);
+    cache.set("a", 1);
+    cache.getEntry("a").storedAt = 0;
+
+    assert.strictEqual(cache.get("a"), 1);
+});
+
+test('invalidate removes the keys that start with a string', function () {
+    var cache = createCache(["/places?page=1", "/places?page=2", "/users"]);
+    cache.invalidate("/places");
+
+    assert.deepStrictEqual(cache.keys, ["/users"]);
+    assert.deepStrictEqual(Object.keys(cache.entries.objects), ["/users"]);
+});
+
+test('invalidate removes every key that a global RegExp matches', function () {
+    var cache = createCache(["/places?page=1", "/places?page=2", "/places?page=3", "/users"]);
+    cache.invalidate(/page=/g);
+
+    assert.deepStrictEqual(cache.keys, ["/users"]);
+});
+
+test('invalidate removes the keys that a function selects', function () {
+    var cache = createCache(["a", "bb", "cc"]);
+    cache.invalidate(function (key) {
+        return key.length === 2;
+    });
+
+    assert.deepStrictEqual(cache.keys, ["a"]);
+});
+
+test('invalidate removes everything without a pattern', function () {
+    var cache = createCache(["a", "b"]);
+    cache.invalidate();
+
+    assert.deepStrictEqual(cache.keys, []);
+    assert.deepStrictEqual(Object.keys(cache.entries.objects), []);
+});
@@ -0,0 +1,78 @@
+/**
+ * Creates an object with the parts of an HTML element that the widgets use.  The listeners are kept by event type
+ * and can be executed with dispatch.
+ *
+ * @param {string} tagName The tag name of the element
+ * @param {object} attributes The attributes of the element
+ * @returns {object} The element
+ */
+module.exports = function (tagName, attributes) {
+    var classes = [];
+    var element = {
+        nodeType: 1,
+        tagName: tagName,
+        attributes: attributes || {},
+        listeners: {},
+        classList: {
+            add: function (name) {
+                if (classes.indexOf(name) < 0) {
+                    classes.push(name);
+                }
+            },
+            remove: function (name) {
+                if (classes.indexOf(name) >= 0) {
+                    classes.splice(classes.indexOf(name), 1);
+                }
+            },
+            toggle: function (name, force) {
+                if (force) {
+                    element.classList.add(name);
+                } else {
+                    element.classList.remove(name);
+                }
+            },
+            contains: function (name) {
+                return classes.indexOf(name) >= 0;
+            }
+        },
+        hasAttribute: function (name) {
+            return element.attributes.hasOwnProperty(name);
+        },
+        getAttribute: function (name) {
+            return element.hasAttribute(name) ? element.attributes[name] : null;
+        },
+        setAttribute: function (name, value) {
+            element.attributes[name] = String(value);
+        },
+        removeAttribute: function (name) {
+            delete element.attributes[name];
+        },
+        focus: function () {
+            module.exports.activeElement = element;
+        },
+        addEventListener: function (type, listener) {
+            element.listeners[type] = listener;
+        },
+        removeEventListener: function (type) {
+            delete element.listeners[type];
+        },
+        dispatch: function (type, properties) {
+            var event = properties || {};
+            event.preventDefault = function () {
+
+            };
+            element.listeners[type](event);
+        }
+    };
+    if (tagName === "BUTTON") {
+        element.disabled = false;
+    }
+    return element;
+};
+
+/**
+ * The element that was focused last
+ *
+ * @type {object|null}
+ */
+module.exports.activeElement = null;
@@ -0,0 +1,68 @@
+/**
+ * Creates a transport that keeps the requests instead of sending them, so that each test decides when and how they
+ * finish.  XhrShim needs to be loaded first.
+ *
+ * @returns {{requests: Array, send: function}} The transport.  Each request has its settings and respond, fail and
+ * abort methods that execute the callbacks like jQuery.ajax would.
+ */
+module.exports = function () {
+    var transport = {requests: []};
+    transport.send = function (settings) {
+        var xhr = new XhrShim();
+        var finish = function (textStatus, data, errorThrown) {
+            if (xhr.readyState === 4) {
+                return;
+            }
+            xhr.readyState = 4;
+            if (textStatus === "success") {
+                if (typeof settings.success === "function") {
+                    settings.success(data, textStatus, xhr);
+                }
+            } else if (typeof settings.error === "function") {
+                settings.error(xhr, textStatus, errorThrown);
+            }
+            if (typeof settings.complete === "function") {
+                settings.complete(xhr, textStatus);
+            }
+        };
+        xhr.onAbort = function () {
+            finish("abort", undefined, xhr.statusText);
+        };
+        var request = {
+            settings: settings,
+            xhr: xhr,
+            respond: function (data) {
+                xhr.status = 200;
+                finish("success", data);
+            },
+            fail: function (status, textStatus) {
+                xhr.status = status || 0;
+                finish(textStatus || "error", undefined, "Request failed");
+            },
+            abort: function () {
+                xhr.abort();
+            }
+        };
+        transport.requests.push(request);
+        if (typeof settings.beforeSend === "function" && settings.beforeSend(xhr, settings) === false) {
+            xhr.abort("canceled");
+        }
+        if (xhr.isAborted) {
+            return xhr;
+        }
+        xhr.readyState = 1;
+        return xhr;
+    };
+    return transport;
+};
+
+/**
+ * Waits for the pending Promise callbacks to run
+ *
+ * @returns {Promise} Resolves once the callbacks have run
+ */
+module.exports.flush = function () {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 0);
+    });
+};
@@ -0,0 +1,165 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['collections/Collection', 'geolocation/BrowserPositionSource', 'geolocation/Geolocator',
+    'geolocation/GeofenceManager']);
+
+/**
+ * The number of degrees of latitude that span a meter
+ *
+ * @type {number}
+ */
+var DEGREES_PER_METER = 180 / Math.PI / Geolocator.EARTH_RADIUS;
+
+/**
+ * Creates a GeofenceManager that records its events
+ *
+ * @returns {{manager: GeofenceManager, events: Array}}
+ */
+var createManager = function () {
+    var manager = new GeofenceManager();
+    var events = [];
+    manager.onEnterCallback = function (region) {
+        events.push("enter " + region.id);
+    };
+    manager.onExitCallback = function (region) {
+        events.push("exit " + region.id);
+    };
+    manager.onDwellCallback = function (region) {
+        events.push("dwell " + region.id);
+    };
+    return {manager: manager, events: events};
+};
+
+/**
+ * Creates a position the specified distance north of the equator at the prime meridian
+ *
+ * @param {number} meters The distance (m)
+ * @param {number} accuracy The accuracy (m)
+ * @returns {object} The position
+ */
+var north = function (meters, accuracy) {
+    return {lat: meters * DEGREES_PER_METER, lng: 0, accuracy: accuracy || 0, timestamp: 0};
+};
+
+test('update enters and exits a circle region', function () {
+    var geofences = createManager();
+    geofences.manager.addCircle("home", 0, 0, 100);
+    geofences.manager.update(north(50));
+
+    assert.strictEqual(geofences.manager.isInside("home"), true);
+
+    geofences.manager.update(north(150));
+
+    assert.strictEqual(geofences.manager.isInside("home"), false);
+    assert.deepStrictEqual(geofences.events, ["enter home", "exit home"]);
+});
+
+test('a position that starts outside of a region does not exit it', function () {
+    var geofences = createManager();
+    geofences.manager.addCircle("home", 0, 0, 100);
+
+    assert.strictEqual(geofences.manager.isInside("home"), null);
+
+    geofences.manager.update(north(500));
+
+    assert.strictEqual(geofences.manager.isInside("home"), false);
+    assert.deepStrictEqual(geofences.events, []);
+});
+
+test('a position must be beyond the margin of its accuracy to exit a region', function () {
+    var geofences = createManager();
+    geofences.manager.addCircle("home", 0, 0, 100);
+    geofences.manager.update(north(90, 30));
+    geofences.manager.update(north(120, 30));
+    geofences.manager.update(north(95, 30));
+    geofences.manager.update(north(125, 30));
+
+    assert.deepStrictEqual(geofences.events, ["enter home"]);
+
+    geofences.manager.update(north(131, 30));
+
+    assert.deepStrictEqual(geofences.events, ["enter home", "exit home"]);
+});
+
+test('a region smaller than the accuracy can still be entered', function () {
+    var geofences = createManager();
+    geofences.manager.addCircle("door", 0, 0, 5);
+    geofences.manager.update(north(2, 50));
+
+    assert.deepStrictEqual(geofences.events, ["enter door"]);
+});
+
+test('update enters and exits a polygon region', function () {
+    var geofences = createManager();
+    var side = 100 * DEGREES_PER_METER;
+    geofences.manager.addPolygon("park", [
+        {lat: -side, lng: -side},
+        {lat: -side, lng: side},
+        {lat: side, lng: side},
+        {lat: side, lng: -side}
+    ]);
+    geofences.manager.update(north(0));
+    geofences.manager.update(north(200));
+
+    assert.deepStrictEqual(geofences.events, ["enter park", "exit park"]);
+});
+
+test('distanceToBoundary is negative inside of a region and positive outside of it', function () {
+    var manager = new GeofenceManager();
+    var circle = manager.addCircle("circle", 0, 0, 100);
+    var side = 100 * DEGREES_PER_METER;
+    var triangle = manager.addPolygon("triangle", [{lat: 0, lng: 0}, {lat: side, lng: 0}, {lat: 0, lng: side}]);
+
+    assert.strictEqual(Math.round(GeofenceManager.distanceToBoundary(circle, 0, 0)), -100);
+    assert.strictEqual(Math.round(GeofenceManager.distanceToBoundary(circle, 150 * DEGREES_PER_METER, 0)), 50);
+    assert.strictEqual(Math.round(GeofenceManager.distanceToBoundary(triangle, 10 * DEGREES_PER_METER, side / 2)),
+        -10);
+    assert.strictEqual(Math.round(GeofenceManager.distanceToBoundary(triangle, -20 * DEGREES_PER_METER, side / 2)),
+        20);
+});
+
+test('onDwellCallback executes once a position stays inside of a region for the dwell time', function () {
+    var geofences = createManager();
+    geofences.manager.dwellTime = 5;
+    geofences.manager.addCircle("home", 0, 0, 100);
+    geofences.manager.addCircle("work", 0, 0, 100, {dwellTime: 5});
+    geofences.manager.addCircle("shop", 0, 0, 100, {dwellTime: 0});
+    geofences.manager.update(north(0));
+    geofences.manager.update(north(200));
+    geofences.manager.update(north(0));
+    geofences.manager.removeRegion("work");
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 20);
+    }).then(function () {
+        // The first visit was too short and the work region was removed during the second
+        assert.deepStrictEqual(geofences.events.slice(9), ["dwell home"]);
+    });
+});
+
+test('addCircle and addPolygon reject invalid regions', function () {
+    var manager = new GeofenceManager();
+
+    assert.throws(function () {
+        manager.addCircle("a", NaN, 0, 100);
+    }, TypeError);
+    assert.throws(function () {
+        manager.addCircle("a", 0, 0, 0);
+    }, RangeError);
+    assert.throws(function () {
+        manager.addPolygon("a", [{lat: 0, lng: 0}, {lat: 1, lng: 1}]);
+    }, RangeError);
+    assert.deepStrictEqual(manager.getRegions(), []);
+});
+
+test('adding a region with the same ID replaces it and resets its state', function () {
+    var geofences = createManager();
+    geofences.manager.addCircle("home", 0, 0, 100, {data: {name: "Home"}});
+    geofences.manager.update(north(0));
+    geofences.manager.addCircle("home", 1, 1, 100);
+
+    assert.strictEqual(geofences.manager.getRegions().length, 1);
+    assert.strictEqual(geofences.manager.getRegion("home").data, null);
+    assert.strictEqual(geofences.manager.isInside("home"), null);
+});
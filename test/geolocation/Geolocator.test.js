@@ -0,0 +1,540 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['collections/Collection', 'geolocation/BrowserPositionSource', 'geolocation/SimulatedPositionSource',
+    'geolocation/Geolocator', 'geolocation/FixedLocationProvider', 'geolocation/LastKnownLocationProvider']);
+
+/**
+ * Creates a Geolocator on a SimulatedPositionSource that records the error messages it reports
+ *
+ * @returns {{source: SimulatedPositionSource, geolocator: Geolocator, errors: Array}}
+ */
+var createGeolocator = function () {
+    var source = new SimulatedPositionSource(0);
+    source.isPermissionsApiAvailable = false;
+    var geolocator = new Geolocator(source);
+    var errors = [];
+    geolocator.onErrorCallback = function (errorMessage) {
+        errors.push(errorMessage);
+    };
+    return {source: source, geolocator: geolocator, errors: errors};
+};
+
+test('onError reports the permission denied message and denies the permission', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.scheduleError(100, SimulatedPositionSource.PERMISSION_DENIED);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(simulation.errors, [simulation.geolocator.errorMessagePermissionDenied]);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_DENIED);
+});
+
+test('onError reports the position unavailable message and grants the permission', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.scheduleError(100, SimulatedPositionSource.POSITION_UNAVAILABLE);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(simulation.errors, [simulation.geolocator.errorMessagePositionUnavailable]);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+});
+
+test('onError reports the timeout message and grants the permission', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.scheduleError(100, SimulatedPositionSource.TIMEOUT);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(simulation.errors, [simulation.geolocator.errorMessageTimeout]);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+});
+
+test('onError reports the general message for an unknown error code', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.scheduleError(100, 99);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(simulation.errors, [simulation.geolocator.errorMessageGeneral]);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_UNKNOWN);
+});
+
+test('onError only reports errors once they are due on the virtual clock', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.scheduleError(100, SimulatedPositionSource.TIMEOUT);
+    simulation.source.scheduleError(200, SimulatedPositionSource.POSITION_UNAVAILABLE);
+    simulation.source.advance(150);
+
+    assert.deepStrictEqual(simulation.errors, [simulation.geolocator.errorMessageTimeout]);
+
+    simulation.source.advance(50);
+
+    assert.deepStrictEqual(simulation.errors, [
+        simulation.geolocator.errorMessageTimeout,
+        simulation.geolocator.errorMessagePositionUnavailable
+    ]);
+});
+
+test('onPermissionTimeoutCallback executes once the prompt is unanswered for the permission timeout', function () {
+    var simulation = createGeolocator();
+    var timeouts = 0;
+    simulation.geolocator.permissionTimeout = 3000;
+    simulation.geolocator.onPermissionTimeoutCallback = function () {
+        timeouts++;
+    };
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.advance(2999);
+
+    assert.strictEqual(timeouts, 0);
+
+    simulation.source.advance(1);
+
+    assert.strictEqual(timeouts, 1);
+
+    simulation.source.advance(10000);
+
+    assert.strictEqual(timeouts, 1);
+});
+
+test('onPermissionTimeoutCallback does not execute once the prompt is answered', function () {
+    var simulation = createGeolocator();
+    var timeouts = 0;
+    simulation.geolocator.permissionTimeout = 3000;
+    simulation.geolocator.onPermissionTimeoutCallback = function () {
+        timeouts++;
+    };
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.schedulePosition(1000, 47.6, -122.3);
+    simulation.source.advance(5000);
+
+    assert.strictEqual(timeouts, 0);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+});
+
+test('onPermissionTimeoutCallback does not execute once the Permissions API reports a denied permission',
+    function () {
+        var source = new SimulatedPositionSource(0);
+        var geolocator = new Geolocator(source);
+        var timeouts = 0;
+        geolocator.permissionTimeout = 3000;
+        geolocator.onPermissionTimeoutCallback = function () {
+            timeouts++;
+        };
+        // Wait for the Geolocator to receive the PermissionStatus
+        return Promise.resolve().then(function () {
+            assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_PROMPT);
+
+            geolocator.getCurrentPosition();
+            source.advance(1000);
+            source.setPermissionState("denied");
+            source.advance(5000);
+
+            assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_DENIED);
+            assert.strictEqual(timeouts, 0);
+        });
+    });
+
+/**
+ * Records the positions that the Geolocator reports
+ *
+ * @param {Geolocator} geolocator The Geolocator
+ * @returns {Array} The reported positions
+ */
+var recordPositions = function (geolocator) {
+    var positions = [];
+    geolocator.onPositionUpdateCallback = function (lat, lng, position) {
+        positions.push(position);
+    };
+    return positions;
+};
+
+test('onPositionUpdate reports all of the position data', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3, {accuracy: 25, altitude: 50, heading: 90, speed: 2});
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(positions, [{
+        lat: 47.6,
+        lng: -122.3,
+        accuracy: 25,
+        altitude: 50,
+        altitudeAccuracy: null,
+        heading: 90,
+        speed: 2,
+        timestamp: 100,
+        source: "geolocation"
+    }]);
+    assert.strictEqual(simulation.geolocator.lastKnownPosition, positions[0]);
+});
+
+test('toPosition reports a heading that is not a number as null', function () {
+    var position = Geolocator.toPosition({
+        coords: {latitude: 1, longitude: 2, accuracy: 3, heading: NaN},
+        timestamp: 4
+    });
+
+    assert.strictEqual(position.heading, null);
+    assert.strictEqual(position.speed, null);
+});
+
+test('onPositionUpdate ignores positions that are less accurate than the maximum accuracy', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.maximumAccuracy = 50;
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.schedulePosition(100, 47.6, -122.3, {accuracy: 500});
+    simulation.source.schedulePosition(200, 47.7, -122.4, {accuracy: 50});
+    simulation.source.advance(200);
+
+    assert.deepStrictEqual(positions.map(function (position) {
+        return position.lat;
+    }), [47.7]);
+});
+
+test('onPositionUpdate ignores positions closer than the minimum distance to the last position', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.minimumDistance = 100;
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    // About 11 m north
+    simulation.source.schedulePosition(200, 47.6001, -122.3);
+    // About 111 m north
+    simulation.source.schedulePosition(300, 47.601, -122.3);
+    simulation.source.advance(300);
+
+    assert.deepStrictEqual(positions.map(function (position) {
+        return position.lat;
+    }), [47.6, 47.601]);
+});
+
+test('onPositionUpdate ignores positions older than the maximum position age on the clock of the source', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.maximumPositionAge = 1000;
+    simulation.source.advance(10000);
+    var update = function (lat, lng, timestamp) {
+        simulation.geolocator.onPositionUpdate({
+            coords: {latitude: lat, longitude: lng, accuracy: 10},
+            timestamp: timestamp
+        });
+    };
+    // Positions cached by the Geolocation API keep the time they were determined at
+    update(47.6, -122.3, 8000);
+    update(47.7, -122.4, 9000);
+    update(47.8, -122.5);
+
+    assert.deepStrictEqual(positions.map(function (position) {
+        return [position.lat, position.timestamp];
+    }), [[47.7, 9000], [47.8, 10000]]);
+});
+
+test('distanceBetween calculates the great-circle distance', function () {
+    assert.strictEqual(Geolocator.distanceBetween(47.6, -122.3, 47.6, -122.3), 0);
+    // One degree of latitude
+    assert.strictEqual(Math.round(Geolocator.distanceBetween(0, 0, 1, 0)), 111195);
+    assert.strictEqual(Math.round(Geolocator.distanceBetween(0, 179.5, 0, -179.5)), 111195);
+});
+
+test('the permission state follows the changes reported by the Permissions API', function () {
+    var source = new SimulatedPositionSource(0);
+    source.permissionState = "granted";
+    var geolocator = new Geolocator(source);
+
+    assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_UNKNOWN);
+    return Promise.resolve().then(function () {
+        assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+
+        source.setPermissionState("prompt");
+
+        assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_PROMPT);
+
+        geolocator.stopPermissionListener();
+        source.setPermissionState("denied");
+
+        assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_PROMPT);
+        assert.deepStrictEqual(source.permissionListeners, []);
+    });
+});
+
+test('revoking a granted permission stops the updates, clears the position and executes the callback', function () {
+    var source = new SimulatedPositionSource(0);
+    var geolocator = new Geolocator(source);
+    var revocations = [];
+    geolocator.onPermissionRevokedCallback = function (state) {
+        revocations.push(state);
+    };
+    return Promise.resolve().then(function () {
+        geolocator.listenForPositionUpdates();
+        source.schedulePosition(100, 47.6, -122.3);
+        source.advance(100);
+
+        assert.strictEqual(geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+        assert.strictEqual(geolocator.isCurrentPositionAvailable(), true);
+
+        source.setPermissionState("denied");
+        source.schedulePosition(100, 47.7, -122.4);
+        source.advance(100);
+
+        assert.deepStrictEqual(revocations, [Geolocator.PERMISSION_DENIED]);
+        assert.strictEqual(geolocator.watchId, null);
+        assert.strictEqual(geolocator.isCurrentPositionAvailable(), false);
+        assert.strictEqual(source.watches.keys().length, 0);
+    });
+});
+
+test('the permission state is inferred from the responses without the Permissions API', function () {
+    var simulation = createGeolocator();
+    var revocations = 0;
+    simulation.geolocator.onPermissionRevokedCallback = function () {
+        revocations++;
+    };
+
+    assert.strictEqual(simulation.geolocator.isPermissionUnanswered(), true);
+
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_GRANTED);
+
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.scheduleError(100, SimulatedPositionSource.PERMISSION_DENIED);
+    simulation.source.advance(100);
+
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_DENIED);
+    assert.strictEqual(revocations, 1);
+});
+
+test('an unavailable Geolocation API reports an error instead of requesting a position', function () {
+    var simulation = createGeolocator();
+    var requests = 0;
+    simulation.geolocator.onRequestPositionCallback = function () {
+        requests++;
+    };
+    simulation.source.isGeolocationAvailable = false;
+    simulation.geolocator.getCurrentPosition();
+    simulation.geolocator.listenForPositionUpdates();
+
+    assert.strictEqual(requests, 0);
+    assert.deepStrictEqual(simulation.errors, [
+        simulation.geolocator.errorMessageGeolocationNotAvailable,
+        simulation.geolocator.errorMessageGeolocationNotAvailable
+    ]);
+});
+
+/**
+ * Creates a fallback provider that answers once the virtual clock has advanced by the specified amount of time
+ *
+ * @param {SimulatedPositionSource} source The source with the virtual clock
+ * @param {string} name The name of the provider
+ * @param {number} delay The amount of time (ms) to wait
+ * @param {object|null} position The position to provide, or null to fail
+ * @returns {object} The provider
+ */
+var createProvider = function (source, name, delay, position) {
+    return {
+        name: name,
+        getPosition: function (successCallback, errorCallback) {
+            source.setTimeout(function () {
+                if (position != null) {
+                    successCallback(position);
+                } else {
+                    errorCallback("Not available");
+                }
+            }, delay);
+        }
+    };
+};
+
+test('requestFallbackPosition tries the providers in order until one provides a position', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    var provided = {lat: 47.6, lng: -122.3, accuracy: 5000};
+    simulation.geolocator.addFallbackProvider(createProvider(simulation.source, "first", 100, null));
+    simulation.geolocator.addFallbackProvider(createProvider(simulation.source, "second", 100, provided));
+    simulation.geolocator.addFallbackProvider(createProvider(simulation.source, "third", 100, provided));
+    simulation.source.isGeolocationAvailable = false;
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.advance(1000);
+
+    assert.deepStrictEqual(positions, [{lat: 47.6, lng: -122.3, accuracy: 5000, source: "second"}]);
+    assert.strictEqual(provided.source, undefined);
+    assert.strictEqual(simulation.geolocator.lat, 47.6);
+});
+
+test('the fallback providers are tried when the Geolocation API fails without a position', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.addFallbackProvider(new FixedLocationProvider(40, -100, 100000));
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.scheduleError(100, SimulatedPositionSource.TIMEOUT);
+    simulation.source.schedulePosition(200, 47.6, -122.3);
+    simulation.source.scheduleError(300, SimulatedPositionSource.TIMEOUT);
+    simulation.source.advance(300);
+
+    assert.deepStrictEqual(positions.map(function (position) {
+        return position.source;
+    }), ["fixed", "geolocation"]);
+    assert.strictEqual(positions[0].accuracy, 100000);
+});
+
+test('a live position supersedes the fallback request in progress', function () {
+    var simulation = createGeolocator();
+    var positions = recordPositions(simulation.geolocator);
+    simulation.geolocator.addFallbackProvider(createProvider(simulation.source, "slow", 500, {lat: 1, lng: 2}));
+    simulation.geolocator.listenForPositionUpdates();
+    simulation.source.scheduleError(100, SimulatedPositionSource.POSITION_UNAVAILABLE);
+    simulation.source.schedulePosition(200, 47.6, -122.3);
+    simulation.source.advance(1000);
+
+    assert.deepStrictEqual(positions.map(function (position) {
+        return position.source;
+    }), ["geolocation"]);
+});
+
+test('LastKnownLocationProvider provides the last position the Geolocator received', function () {
+    var simulation = createGeolocator();
+    var provider = new LastKnownLocationProvider(simulation.geolocator);
+    var results = [];
+    var record = function (result) {
+        results.push(result);
+    };
+    provider.getPosition(record, record);
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+    provider.getPosition(record, record);
+
+    assert.deepStrictEqual(results, ["There is no last known location.", simulation.geolocator.lastKnownPosition]);
+});
+
+test('LastKnownLocationProvider does not provide positions older than the maximum age', function () {
+    var simulation = createGeolocator();
+    var provider = new LastKnownLocationProvider(simulation.geolocator);
+    provider.maximumAge = 1000;
+    var results = [];
+    var record = function (result) {
+        results.push(result);
+    };
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(1100);
+    provider.getPosition(record, record);
+    simulation.source.advance(1);
+    provider.getPosition(record, record);
+
+    assert.deepStrictEqual(results, [simulation.geolocator.lastKnownPosition, "The last known location is too old."]);
+});
+
+/**
+ * Replaces the window with one that keeps localStorage in memory
+ *
+ * @returns {object} The stored items
+ */
+var stubLocalStorage = function () {
+    var storage = {};
+    global.window = {
+        localStorage: {
+            getItem: function (key) {
+                return storage.hasOwnProperty(key) ? storage[key] : null;
+            },
+            setItem: function (key, value) {
+                storage[key] = value;
+            },
+            removeItem: function (key) {
+                delete storage[key];
+            }
+        }
+    };
+    return storage;
+};
+
+/**
+ * Creates a Geolocator that persists its positions
+ *
+ * @returns {{source: SimulatedPositionSource, geolocator: Geolocator, positions: Array}}
+ */
+var createPersistentGeolocator = function () {
+    var source = new SimulatedPositionSource(0);
+    source.isPermissionsApiAvailable = false;
+    var geolocator = new Geolocator(source);
+    var positions = recordPositions(geolocator);
+    geolocator.enablePositionPersistence();
+    return {source: source, geolocator: geolocator, positions: positions};
+};
+
+test('enablePositionPersistence restores the saved position and reports it until a live one arrives', function () {
+    var storage = stubLocalStorage();
+    var first = createPersistentGeolocator();
+    first.geolocator.getCurrentPosition();
+    first.source.schedulePosition(100, 47.6, -122.3);
+    first.source.advance(100);
+
+    assert.strictEqual(JSON.parse(storage[first.geolocator.savedPositionStorageKey]).lat, 47.6);
+
+    var second = createPersistentGeolocator();
+
+    assert.strictEqual(second.geolocator.lastKnownPosition.lat, 47.6);
+
+    second.geolocator.getCurrentPosition();
+    second.source.schedulePosition(100, 47.7, -122.4);
+    second.source.advance(100);
+
+    assert.deepStrictEqual(second.positions.map(function (position) {
+        return [position.source, position.lat];
+    }), [["cached", 47.6], ["geolocation", 47.7]]);
+});
+
+test('saved positions older than the maximum age are discarded', function () {
+    var storage = stubLocalStorage();
+    var simulation = createPersistentGeolocator();
+    storage[simulation.geolocator.savedPositionStorageKey] = JSON.stringify({
+        lat: 47.6,
+        lng: -122.3,
+        timestamp: 0
+    });
+    simulation.geolocator.savedPositionMaximumAge = 1000;
+    simulation.source.advance(2000);
+
+    assert.strictEqual(simulation.geolocator.getSavedPosition(), null);
+    assert.strictEqual(simulation.geolocator.reportSavedPosition(), false);
+
+    simulation.geolocator.savedPositionMaximumAge = 0;
+
+    assert.strictEqual(simulation.geolocator.getSavedPosition().lat, 47.6);
+});
+
+test('denying the permission removes the saved position and stops reporting it', function () {
+    var storage = stubLocalStorage();
+    var simulation = createPersistentGeolocator();
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.scheduleError(100, SimulatedPositionSource.PERMISSION_DENIED);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(storage, {});
+    assert.strictEqual(simulation.geolocator.lastKnownPosition, null);
+
+    storage[simulation.geolocator.savedPositionStorageKey] = JSON.stringify({lat: 1, lng: 2, timestamp: 0});
+
+    assert.strictEqual(simulation.geolocator.reportSavedPosition(), false);
+});
+
+test('positions are not saved once persistence is disabled', function () {
+    var storage = stubLocalStorage();
+    var simulation = createPersistentGeolocator();
+    simulation.geolocator.disablePositionPersistence();
+    simulation.geolocator.getCurrentPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+
+    assert.deepStrictEqual(storage, {});
+});
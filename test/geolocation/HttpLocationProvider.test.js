@@ -0,0 +1,55 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+
+load(['http/XhrShim', 'http/FetchTransport', 'geolocation/HttpLocationProvider']);
+
+/**
+ * Requests a position from a HttpLocationProvider and records the outcome
+ *
+ * @param {function|null} responseMapper The response mapper of the provider
+ * @returns {{transport: object, results: Array}}
+ */
+var requestPosition = function (responseMapper) {
+    var transport = fakeTransport();
+    var provider = new HttpLocationProvider("/location", transport);
+    provider.responseMapper = responseMapper;
+    var results = [];
+    provider.getPosition(function (position) {
+        results.push(position);
+    }, function (errorMessage) {
+        results.push(errorMessage);
+    });
+    return {transport: transport, results: results};
+};
+
+test('getPosition provides the location of the response with the default accuracy', function () {
+    var request = requestPosition(null);
+    request.transport.requests[0].respond({latitude: "47.6", lon: -122.3});
+
+    assert.strictEqual(request.transport.requests[0].settings.url, "/location");
+    assert.strictEqual(request.results[0].lat, 47.6);
+    assert.strictEqual(request.results[0].lng, -122.3);
+    assert.strictEqual(request.results[0].accuracy, HttpLocationProvider.prototype.defaultAccuracy);
+});
+
+test('getPosition uses the response mapper', function () {
+    var request = requestPosition(function (data) {
+        return {lat: data.location[0], lng: data.location[1], accuracy: data.radius};
+    });
+    request.transport.requests[0].respond({location: [47.6, -122.3], radius: 3000});
+
+    assert.strictEqual(request.results[0].lat, 47.6);
+    assert.strictEqual(request.results[0].accuracy, 3000);
+});
+
+test('getPosition fails if the response has no location or the request fails', function () {
+    var invalid = requestPosition(null);
+    invalid.transport.requests[0].respond({city: "Seattle"});
+    var failed = requestPosition(null);
+    failed.transport.requests[0].fail(503);
+
+    assert.deepStrictEqual(invalid.results, ["The location response did not contain a latitude and longitude."]);
+    assert.deepStrictEqual(failed.results, ["Request failed"]);
+});
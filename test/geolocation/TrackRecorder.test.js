@@ -0,0 +1,305 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['collections/Collection', 'geolocation/BrowserPositionSource', 'geolocation/SimulatedPositionSource',
+    'geolocation/Geolocator', 'geolocation/TrackRecorder']);
+
+/**
+ * Creates an element for the fake DOMParser from the markup between its tags
+ *
+ * @param {string} attributes The markup of the attributes
+ * @param {string} content The markup between the tags
+ * @returns {object} The element
+ */
+var createXmlElement = function (attributes, content) {
+    return {
+        textContent: content.replace(/<[^>]*>/g, ""),
+        getAttribute: function (name) {
+            var match = new RegExp('\\b' + name + '="([^"]*)"').exec(attributes);
+            return match != null ? match[1] : null;
+        },
+        getElementsByTagName: function (tagName) {
+            return findXmlElements(content, tagName);
+        }
+    };
+};
+
+/**
+ * Finds the elements with the specified tag name in the markup.  Nested elements with the same name are not supported.
+ *
+ * @param {string} markup The markup
+ * @param {string} tagName The tag name
+ * @returns {Array} The elements
+ */
+var findXmlElements = function (markup, tagName) {
+    var elements = [];
+    var pattern = new RegExp('<' + tagName + '\\b([^>]*)>([\\s\\S]*?)</' + tagName + '>', 'g');
+    var match;
+    while ((match = pattern.exec(markup)) != null) {
+        elements.push(createXmlElement(match[1], match[2]));
+    }
+    return elements;
+};
+
+/**
+ * The parts of DOMParser that TrackRecorder uses to import GPX.  Markup that does not end with a closing gpx tag is
+ * reported with a parsererror element.
+ */
+global.DOMParser = function () {
+    this.parseFromString = function (markup) {
+        if (!/<\/gpx>\s*$/.test(markup)) {
+            markup = '<parsererror>The markup is not well-formed.</parsererror>';
+        }
+        return createXmlElement("", markup);
+    };
+};
+
+/**
+ * Creates a TrackRecorder with the specified points
+ *
+ * @param {Array} points The positions to record
+ * @returns {TrackRecorder}
+ */
+var createTrack = function (points) {
+    var recorder = new TrackRecorder();
+    recorder.start();
+    for (var i = 0; i < points.length; i++) {
+        recorder.record(points[i]);
+    }
+    recorder.stop();
+    return recorder;
+};
+
+/**
+ * Creates a Geolocator on a SimulatedPositionSource that records the positions it reports
+ *
+ * @returns {{source: SimulatedPositionSource, geolocator: Geolocator, positions: Array}}
+ */
+var createGeolocator = function () {
+    var source = new SimulatedPositionSource(0);
+    source.isPermissionsApiAvailable = false;
+    var geolocator = new Geolocator(source);
+    var positions = [];
+    geolocator.onPositionUpdateCallback = function (lat, lng, position) {
+        positions.push(position);
+    };
+    return {source: source, geolocator: geolocator, positions: positions};
+};
+
+test('record only adds positions while recording', function () {
+    var recorder = new TrackRecorder();
+    var recorded = [];
+    recorder.onPointRecordedCallback = function (point) {
+        recorded.push(point);
+    };
+
+    assert.strictEqual(recorder.record({lat: 1, lng: 2}), null);
+
+    recorder.start();
+    var point = recorder.record({lat: 1, lng: 2, altitude: 3, accuracy: 4, timestamp: 5, heading: 6});
+    recorder.stop();
+    recorder.record({lat: 7, lng: 8});
+
+    assert.deepStrictEqual(point, {lat: 1, lng: 2, altitude: 3, accuracy: 4, timestamp: 5});
+    assert.deepStrictEqual(recorder.points, [point]);
+    assert.deepStrictEqual(recorded, [point]);
+
+    recorder.clear();
+
+    assert.deepStrictEqual(recorder.points, []);
+});
+
+test('record rejects positions without a latitude and longitude', function () {
+    var recorder = new TrackRecorder();
+    recorder.start();
+
+    assert.throws(function () {
+        recorder.record({lat: NaN, lng: 2});
+    }, TypeError);
+    assert.deepStrictEqual(recorder.points, []);
+});
+
+test('getDistance and getDuration measure the track', function () {
+    var recorder = createTrack([
+        {lat: 0, lng: 0, timestamp: 1000},
+        {lat: 1, lng: 0, timestamp: 2000},
+        {lat: 1, lng: 1, timestamp: 4000}
+    ]);
+
+    assert.strictEqual(Math.round(recorder.getDistance()), 111195 + 111178);
+    assert.strictEqual(recorder.getDuration(), 3000);
+    assert.strictEqual(createTrack([{lat: 0, lng: 0, timestamp: 1000}]).getDuration(), 0);
+    assert.strictEqual(createTrack([{lat: 0, lng: 0}, {lat: 1, lng: 0}]).getDuration(), 0);
+});
+
+test('exportGpx writes a track point for each point', function () {
+    var recorder = createTrack([
+        {lat: 47.6, lng: -122.3, altitude: 50, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4}
+    ]);
+    var gpx = recorder.exportGpx('Home & "away" <1>');
+
+    assert.match(gpx, /<name>Home &amp; &quot;away&quot; &lt;1&gt;<\/name>/);
+    assert.match(gpx, /<trkpt lat="47.6" lon="-122.3"><ele>50<\/ele><time>2024-01-01T00:00:00.000Z<\/time><\/trkpt>/);
+    assert.match(gpx, /<trkpt lat="47.7" lon="-122.4"><\/trkpt>/);
+    assert.doesNotMatch(recorder.exportGpx(), /<name>/);
+});
+
+test('importGpx replaces the track with the points of the GPX document', function () {
+    var exported = createTrack([
+        {lat: 47.6, lng: -122.3, altitude: 50, accuracy: 10, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4}
+    ]);
+    var recorder = createTrack([{lat: 1, lng: 2}]);
+    recorder.importGpx(exported.exportGpx("Walk"));
+
+    assert.deepStrictEqual(recorder.points, [
+        {lat: 47.6, lng: -122.3, altitude: 50, accuracy: null, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4, altitude: null, accuracy: null, timestamp: null}
+    ]);
+});
+
+test('importGpx rejects a document that cannot be parsed and keeps the track', function () {
+    var recorder = createTrack([{lat: 1, lng: 2}]);
+
+    assert.throws(function () {
+        recorder.importGpx('<gpx><trk>');
+    }, /could not be parsed/);
+    assert.strictEqual(recorder.points.length, 1);
+});
+
+test('exportGeoJson writes a LineString with the timestamps in coordTimes', function () {
+    var recorder = createTrack([
+        {lat: 47.6, lng: -122.3, altitude: 50, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4}
+    ]);
+
+    assert.deepStrictEqual(recorder.exportGeoJson(), {
+        type: "Feature",
+        geometry: {
+            type: "LineString",
+            coordinates: [[-122.3, 47.6, 50], [-122.4, 47.7]]
+        },
+        properties: {
+            coordTimes: ["2024-01-01T00:00:00.000Z", null]
+        }
+    });
+});
+
+test('importGeoJson accepts a Feature, a geometry, a FeatureCollection and a JSON string', function () {
+    var exported = createTrack([
+        {lat: 47.6, lng: -122.3, altitude: 50, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4}
+    ]).exportGeoJson();
+    var expected = [
+        {lat: 47.6, lng: -122.3, altitude: 50, accuracy: null, timestamp: Date.UTC(2024, 0, 1)},
+        {lat: 47.7, lng: -122.4, altitude: null, accuracy: null, timestamp: null}
+    ];
+    var recorder = new TrackRecorder();
+
+    recorder.importGeoJson(exported);
+    assert.deepStrictEqual(recorder.points, expected);
+
+    recorder.importGeoJson(JSON.stringify(exported));
+    assert.deepStrictEqual(recorder.points, expected);
+
+    recorder.importGeoJson({
+        type: "FeatureCollection",
+        features: [{type: "Feature", geometry: {type: "Point", coordinates: [0, 0]}, properties: {}}, exported]
+    });
+    assert.deepStrictEqual(recorder.points, expected);
+
+    recorder.importGeoJson(exported.geometry);
+    assert.deepStrictEqual(recorder.points.map(function (point) {
+        return point.timestamp;
+    }), [null, null]);
+});
+
+test('importGeoJson rejects GeoJSON without a LineString and keeps the track', function () {
+    var recorder = createTrack([{lat: 1, lng: 2}]);
+
+    assert.throws(function () {
+        recorder.importGeoJson({type: "Point", coordinates: [0, 0]});
+    }, TypeError);
+    assert.throws(function () {
+        recorder.importGeoJson({type: "FeatureCollection", features: []});
+    }, TypeError);
+    assert.strictEqual(recorder.points.length, 1);
+});
+
+test('replay reports the points through the Geolocator on the clock of its position source', function () {
+    var simulation = createGeolocator();
+    var recorder = createTrack([
+        {lat: 47.6, lng: -122.3, accuracy: 5, timestamp: 50000},
+        {lat: 47.7, lng: -122.4, timestamp: 52000},
+        {lat: 47.8, lng: -122.5}
+    ]);
+    var completions = 0;
+    recorder.onReplayCompleteCallback = function () {
+        completions++;
+    };
+    simulation.source.advance(1000);
+    recorder.replay(simulation.geolocator, 2);
+
+    assert.strictEqual(recorder.isReplaying(), true);
+    assert.deepStrictEqual(simulation.positions.map(function (position) {
+        return [position.lat, position.accuracy, position.timestamp, position.source];
+    }), [[47.6, 5, 1000, "replay"]]);
+
+    // The points without timestamps are spaced by the replay interval
+    simulation.source.advance(1000 + recorder.replayInterval / 2);
+
+    assert.deepStrictEqual(simulation.positions.map(function (position) {
+        return [position.lat, position.timestamp];
+    }), [[47.6, 1000], [47.7, 2000], [47.8, 2500]]);
+    assert.strictEqual(simulation.geolocator.lastKnownPosition, simulation.positions[2]);
+    assert.strictEqual(simulation.geolocator.permissionState, Geolocator.PERMISSION_UNKNOWN);
+    assert.strictEqual(recorder.isReplaying(), false);
+    assert.strictEqual(completions, 1);
+});
+
+test('replayed points pass through the filters of the Geolocator', function () {
+    var simulation = createGeolocator();
+    simulation.geolocator.maximumAccuracy = 50;
+    simulation.geolocator.minimumDistance = 100;
+    var recorder = createTrack([
+        {lat: 47.6, lng: -122.3, accuracy: 10},
+        {lat: 47.7, lng: -122.4, accuracy: 500},
+        // About 11 m north of the first point
+        {lat: 47.6001, lng: -122.3, accuracy: 10},
+        {lat: 47.8, lng: -122.5, accuracy: 10}
+    ]);
+    recorder.replay(simulation.geolocator);
+    simulation.source.advance(3 * recorder.replayInterval);
+
+    assert.deepStrictEqual(simulation.positions.map(function (position) {
+        return position.lat;
+    }), [47.6, 47.8]);
+});
+
+test('stopReplay cancels the remaining points', function () {
+    var simulation = createGeolocator();
+    var recorder = createTrack([{lat: 47.6, lng: -122.3}, {lat: 47.7, lng: -122.4}]);
+    recorder.replay(simulation.geolocator);
+    recorder.stopReplay();
+    simulation.source.advance(recorder.replayInterval);
+
+    assert.strictEqual(recorder.isReplaying(), false);
+    assert.strictEqual(simulation.positions.length, 1);
+    assert.deepStrictEqual(simulation.source.timers, []);
+});
+
+test('recording during a replay does not change the points being replayed', function () {
+    var simulation = createGeolocator();
+    var recorder = createTrack([{lat: 47.6, lng: -122.3}, {lat: 47.7, lng: -122.4}]);
+    recorder.start();
+    recorder.replay(simulation.geolocator);
+    recorder.record({lat: 47.8, lng: -122.5});
+    simulation.source.advance(2 * recorder.replayInterval);
+
+    assert.deepStrictEqual(simulation.positions.map(function (position) {
+        return position.lat;
+    }), [47.6, 47.7]);
+    assert.strictEqual(recorder.points.length, 3);
+});
@@ -0,0 +1,42 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+var collectUnhandledRejections = require('../collectUnhandledRejections');
+
+load(['http/Deferred']);
+
+test('resolve and reject settle the Promise', function () {
+    var resolved = new Deferred();
+    var rejected = new Deferred();
+    resolved.resolve(1);
+    rejected.reject(new Error("failed"));
+    return resolved.promise.then(function (value) {
+        assert.strictEqual(value, 1);
+        return rejected.promise;
+    }).then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error.message, "failed");
+    });
+});
+
+test('cancel and rejectHandled do not report the rejection as unhandled', function () {
+    var stop = collectUnhandledRejections();
+    new Deferred().cancel(new Error("canceled"));
+    new Deferred().rejectHandled(new Error("reported"));
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(stop(), []);
+    });
+});
+
+test('rejectHandled still rejects the Promise for callers that handle it', function () {
+    var deferred = new Deferred();
+    var error = new Error("reported");
+    deferred.rejectHandled(error);
+    return deferred.promise.then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (reason) {
+        assert.strictEqual(reason, error);
+    });
+});
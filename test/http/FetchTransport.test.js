@@ -0,0 +1,146 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+
+load(['http/Deferred', 'http/HttpRequestError', 'http/XhrShim', 'http/FetchTransport', 'widgets/ToggleButton']);
+
+/**
+ * Replaces fetch with a function that records its calls and responds with the specified response
+ *
+ * @param {number} status The status of the response
+ * @param {string} text The body of the response
+ * @param {string} contentType The Content-Type header of the response
+ * @returns {Array} The url and options of each call
+ */
+var stubFetch = function (status, text, contentType) {
+    var calls = [];
+    global.fetch = function (url, options) {
+        calls.push({url: url, options: options});
+        return Promise.resolve({
+            status: status,
+            statusText: status === 200 ? "OK" : "Error",
+            ok: status >= 200 && status < 300,
+            headers: {
+                get: function (name) {
+                    return name === "Content-Type" ? contentType : null;
+                }
+            },
+            text: function () {
+                return Promise.resolve(text);
+            }
+        });
+    };
+    return calls;
+};
+
+/**
+ * Sends a request with a FetchTransport and records the callbacks it executes
+ *
+ * @param {object} settings The settings of the request
+ * @returns {{xhr: XhrShim, callbacks: Array}}
+ */
+var send = function (settings) {
+    var callbacks = [];
+    settings.success = function (data, textStatus) {
+        callbacks.push(["success", textStatus, data]);
+    };
+    settings.error = function (xhr, textStatus) {
+        callbacks.push(["error", textStatus]);
+    };
+    settings.complete = function (xhr, textStatus) {
+        callbacks.push(["complete", textStatus]);
+    };
+    return {xhr: new FetchTransport().send(settings), callbacks: callbacks};
+};
+
+test('serialize encodes the data like a form, including arrays and nested objects', function () {
+    assert.strictEqual(FetchTransport.serialize({a: "x y", tags: ["b", "c"], f: {g: 1}, n: null, u: undefined}),
+        "a=x%20y&tags[]=b&tags[]=c&f[g]=1&n=");
+});
+
+test('send adds the data of GET requests to the query string and parses JSON responses', function () {
+    var calls = stubFetch(200, "{\"ok\":true}", "application/json");
+    var request = send({type: "GET", url: "/items?sort=name", data: {page: 2}});
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(calls[0].url, "/items?sort=name&page=2");
+        assert.strictEqual(calls[0].options.method, "GET");
+        assert.strictEqual(calls[0].options.body, null);
+        assert.deepStrictEqual(request.callbacks, [["success", "success", {ok: true}], ["complete", "success"]]);
+        assert.strictEqual(request.xhr.status, 200);
+    });
+});
+
+test('send puts the data of POST requests in the body with the content type', function () {
+    var calls = stubFetch(200, "", "text/plain");
+    send({type: "POST", url: "/items", data: {state: 1}});
+    send({type: "POST", url: "/items", data: "{\"state\":1}", contentType: "application/json"});
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(calls[0].options.body, "state=1");
+        assert.strictEqual(calls[0].options.headers["Content-Type"],
+            "application/x-www-form-urlencoded; charset=UTF-8");
+        assert.strictEqual(calls[1].options.body, "{\"state\":1}");
+        assert.strictEqual(calls[1].options.headers["Content-Type"], "application/json");
+    });
+});
+
+test('send executes the error callback for unsuccessful responses', function () {
+    stubFetch(500, "", "text/plain");
+    var request = send({url: "/items"});
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(request.callbacks, [["error", "error"], ["complete", "error"]]);
+        assert.strictEqual(request.xhr.status, 500);
+    });
+});
+
+test('send finishes a request that beforeSend cancels without fetching it', function () {
+    var calls = stubFetch(200, "", "text/plain");
+    var request = send({
+        url: "/items",
+        beforeSend: function () {
+            return false;
+        }
+    });
+
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(request.callbacks, [["error", "abort"], ["complete", "abort"]]);
+    assert.strictEqual(request.xhr.readyState, 4);
+});
+
+test('abort finishes the request once even if the response arrives', function () {
+    stubFetch(200, "ok", "text/plain");
+    var request = send({url: "/items"});
+    request.xhr.abort();
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(request.callbacks, [["error", "abort"], ["complete", "abort"]]);
+    });
+});
+
+test('a ToggleButton sends requests with a FetchTransport without HttpQueryStringBuilder', function () {
+    var calls = stubFetch(200, "{}", "application/json");
+    var toggleButton = new ToggleButton(null, "/items/1", 0, "favorite");
+    return toggleButton.selectState(1).then(function (result) {
+        assert.strictEqual(typeof HttpQueryStringBuilder, "undefined");
+        assert.strictEqual(calls[0].options.body, "favorite=1");
+        assert.strictEqual(result.state, 1);
+    });
+});
+
+test('a ToggleButton whose request is canceled by beforeSend does not keep the request', function () {
+    var calls = stubFetch(200, "{}", "application/json");
+    var toggleButton = new ToggleButton(null, "/items/1", 0, "favorite");
+    toggleButton.beforeSendCallback = function (xhr) {
+        xhr.abort("canceled");
+    };
+    var outcomes = [];
+    toggleButton.selectState(1)["catch"](function (error) {
+        outcomes.push(error.isAborted);
+    });
+
+    assert.strictEqual(toggleButton.request, null);
+    assert.strictEqual(toggleButton.isRequestInProgress, false);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(calls, []);
+        assert.deepStrictEqual(outcomes, [true]);
+    });
+});
@@ -0,0 +1,362 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+var collectUnhandledRejections = require('../collectUnhandledRejections');
+
+load(['collections/Collection', 'collections/LruCache', 'http/Deferred', 'http/HttpRequestError', 'http/XhrShim',
+    'http/FetchTransport', 'http/HttpQueryStringBuilder']);
+
+/**
+ * Creates a HttpQueryStringBuilder that keeps its requests in a fake transport
+ *
+ * @returns {HttpQueryStringBuilder}
+ */
+var createBuilder = function () {
+    return new HttpQueryStringBuilder(fakeTransport());
+};
+
+test('buildQueryString serializes arrays with brackets by default', function () {
+    var builder = createBuilder().addQueryParameter("tags", ["a", "b"]);
+
+    assert.strictEqual(builder.buildQueryString(), "?tags[]=a&tags[]=b");
+});
+
+test('buildQueryString serializes arrays with indices or repeated keys', function () {
+    var builder = createBuilder().addQueryParameter("tags", ["a", "b"]);
+
+    assert.strictEqual(builder.setArrayFormat("indices").buildQueryString(), "?tags[0]=a&tags[1]=b");
+    assert.strictEqual(builder.setArrayFormat("repeat").buildQueryString(), "?tags=a&tags=b");
+});
+
+test('buildQueryString serializes nested objects with brackets or dots', function () {
+    var builder = createBuilder().addQueryParameter("filter", {price: {min: 10, max: 20}, color: "red"});
+
+    assert.strictEqual(builder.buildQueryString(),
+        "?filter[price][min]=10&filter[price][max]=20&filter[color]=red");
+    assert.strictEqual(builder.setNestingFormat("dots").buildQueryString(),
+        "?filter.price.min=10&filter.price.max=20&filter.color=red");
+});
+
+test('buildQueryString indexes objects in arrays so that their properties stay grouped', function () {
+    var builder = createBuilder().setArrayFormat("repeat")
+        .addQueryParameter("sort", [{field: "price", dir: "asc"}, {field: "name", dir: "desc"}]);
+
+    assert.strictEqual(builder.buildQueryString(),
+        "?sort[0][field]=price&sort[0][dir]=asc&sort[1][field]=name&sort[1][dir]=desc");
+});
+
+test('buildQueryString encodes names, properties and values and puts the page first', function () {
+    var builder = createBuilder().setPage(2).addQueryParameter("q a", "x&y=z")
+        .addQueryParameter("f", {"a b": "c/d"});
+
+    assert.strictEqual(builder.buildQueryString(), "?page=2&q%20a=x%26y%3Dz&f[a%20b]=c%2Fd");
+});
+
+test('appendQueryParameter converts a single value to an array and appends arrays element by element', function () {
+    var builder = createBuilder().addQueryParameter("tags", "a").appendQueryParameter("tags", "b")
+        .appendQueryParameter("tags", ["c", "d"]).appendQueryParameter("ids", 1);
+
+    assert.deepStrictEqual(builder.queryParameters.get("tags"), ["a", "b", "c", "d"]);
+    assert.deepStrictEqual(builder.queryParameters.get("ids"), [1]);
+});
+
+test('addQueryParameter rejects names that are not strings and values that cannot be serialized', function () {
+    var builder = createBuilder();
+
+    assert.throws(function () {
+        builder.addQueryParameter(1, "a");
+    }, TypeError);
+    assert.throws(function () {
+        builder.addQueryParameter("f", function () {
+
+        });
+    }, TypeError);
+    assert.throws(function () {
+        builder.appendQueryParameter("tags", [undefined]);
+    }, TypeError);
+    assert.strictEqual(builder.buildQueryString(), "");
+});
+
+test('fromUrl splits the base URI and parses the page, arrays and nested objects', function () {
+    var builder = HttpQueryStringBuilder.fromUrl(
+        "/search?page=3&q=red+shoes&tags[]=a&tags[]=b&filter[price][min]=10#results", fakeTransport());
+
+    assert.strictEqual(builder.baseUri, "/search");
+    assert.strictEqual(builder.page, 3);
+    assert.strictEqual(builder.queryParameters.get("q"), "red shoes");
+    assert.deepStrictEqual(builder.queryParameters.get("tags"), ["a", "b"]);
+    assert.deepStrictEqual(builder.queryParameters.get("filter"), {price: {min: "10"}});
+});
+
+test('fromUrl round trips the query string in each array format', function () {
+    var urls = [
+        "/search?page=2&tags[]=a&tags[]=b&filter[price][min]=10",
+        "/search?tags[0]=a&tags[1]=b&sort[0][field]=price",
+        "/search?tags=a&tags=b&q=x%26y"
+    ];
+    for (var i = 0; i < urls.length; i++) {
+        assert.strictEqual(HttpQueryStringBuilder.fromUrl(urls[i], fakeTransport()).buildUri(), urls[i]);
+    }
+});
+
+test('parse uses the nesting format of the builder', function () {
+    var builder = createBuilder().setNestingFormat("dots").parse("?filter.price.min=10&filter.color=red");
+
+    assert.deepStrictEqual(builder.queryParameters.get("filter"), {price: {min: "10"}, color: "red"});
+    assert.strictEqual(builder.buildQueryString(), "?filter.price.min=10&filter.color=red");
+});
+
+test('parse compacts sparse array indices', function () {
+    var builder = createBuilder().parse("?tags[3]=c&tags[1]=a");
+
+    assert.deepStrictEqual(builder.queryParameters.get("tags"), ["a", "c"]);
+    assert.strictEqual(builder.arrayFormat, "indices");
+});
+
+test('parse replaces the existing page and query parameters', function () {
+    var builder = createBuilder().setPage(4).addQueryParameter("old", "x").parse("q=y");
+
+    assert.strictEqual(builder.page, 0);
+    assert.strictEqual(builder.queryParameters.hasKey("old"), false);
+    assert.strictEqual(builder.buildQueryString(), "?q=y");
+});
+
+test('parse accepts keys named like Object.prototype members', function () {
+    var builder = createBuilder().parse("?a=1&hasOwnProperty=x&toString=y");
+
+    assert.strictEqual(builder.queryParameters.get("a"), "1");
+    assert.strictEqual(builder.queryParameters.get("hasOwnProperty"), "x");
+    assert.strictEqual(builder.buildQueryString(), "?a=1&hasOwnProperty=x&toString=y");
+});
+
+test('parse keeps a scalar next to the nested values of the same parameter', function () {
+    var builder = createBuilder().parse("?a=2&a[b]=1");
+
+    assert.deepStrictEqual(builder.queryParameters.get("a"), ["2", {b: "1"}]);
+});
+
+test('parse ignores keys that would replace the prototype of the parsed objects', function () {
+    var builder = createBuilder().parse("?__proto__[polluted]=1&a[__proto__][polluted]=1&b=2");
+
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(builder.queryParameters.keys(), ["b"]);
+});
+
+test('parse treats malformed percent-encoding literally', function () {
+    var builder = createBuilder().parse("?q=100%&r=%E2%9C%93");
+
+    assert.strictEqual(builder.queryParameters.get("q"), "100%");
+    assert.strictEqual(builder.queryParameters.get("r"), "✓");
+});
+
+/**
+ * Replaces the window with one that records the history entries and the popstate listeners
+ *
+ * @param {string} search The query string of the current location
+ * @returns {{location: object, history: object, entries: Array, listeners: Array}} The window
+ */
+var stubWindow = function (search) {
+    var stub = {
+        location: {pathname: "/search", search: search, hash: "#results"},
+        entries: [],
+        listeners: [],
+        addEventListener: function (type, listener) {
+            stub.listeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            stub.listeners.splice(stub.listeners.indexOf(listener), 1);
+        }
+    };
+    stub.history = {
+        pushState: function (state, title, url) {
+            stub.entries.push(["push", url]);
+        },
+        replaceState: function (state, title, url) {
+            stub.entries.push(["replace", url]);
+        }
+    };
+    global.window = stub;
+    return stub;
+};
+
+test('enableHistorySync pushes query parameter changes and replaces page changes', function () {
+    var stub = stubWindow("");
+    var builder = createBuilder().enableHistorySync();
+    builder.sendRequest();
+    builder.addQueryParameter("q", "a").sendRequest();
+    builder.incrementPage().sendRequest();
+    builder.sendRequest();
+
+    assert.deepStrictEqual(stub.entries, [["push", "/search?q=a#results"], ["replace", "/search?page=1&q=a#results"]]);
+});
+
+test('enableHistorySync uses the specified history policy', function () {
+    var stub = stubWindow("");
+    var builder = createBuilder().enableHistorySync(function () {
+        return "replace";
+    });
+    builder.addQueryParameter("q", "a").sendRequest();
+
+    assert.deepStrictEqual(stub.entries, [["replace", "/search?q=a#results"]]);
+});
+
+test('onPopState restores the query parameters and sends the request without a history entry', function () {
+    var stub = stubWindow("");
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport).setBaseUri("/api").enableHistorySync();
+    stub.location.search = "?page=2&q=b";
+    stub.listeners[0]();
+
+    assert.strictEqual(builder.page, 2);
+    assert.strictEqual(builder.queryParameters.get("q"), "b");
+    assert.strictEqual(transport.requests[0].settings.url, "/api?page=2&q=b");
+    assert.deepStrictEqual(stub.entries, []);
+});
+
+test('disableHistorySync removes the popstate listener and stops updating the history', function () {
+    var stub = stubWindow("");
+    var builder = createBuilder().enableHistorySync().disableHistorySync();
+    builder.addQueryParameter("q", "a").sendRequest();
+
+    assert.deepStrictEqual(stub.listeners, []);
+    assert.deepStrictEqual(stub.entries, []);
+});
+
+/**
+ * Records how a Promise settles
+ *
+ * @param {Promise} promise The Promise
+ * @param {Array} outcomes Receives the data or "aborted" or the text status of the error
+ */
+var recordOutcome = function (promise, outcomes) {
+    promise.then(function (result) {
+        outcomes.push(result.data);
+    }, function (error) {
+        outcomes.push(error.isAborted ? "aborted" : error.textStatus);
+    });
+};
+
+test('sendRequest aborts the request in progress and only executes its abort callback', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport);
+    var callbacks = [];
+    builder.setSuccessCallback(function (data) {
+        callbacks.push("success " + data);
+    }).setAbortCallback(function () {
+        callbacks.push("abort");
+    });
+    var outcomes = [];
+    recordOutcome(builder.sendRequest(), outcomes);
+    recordOutcome(builder.sendRequest(), outcomes);
+    transport.requests[1].respond("second");
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(transport.requests[0].xhr.readyState, 4);
+        assert.deepStrictEqual(callbacks, ["abort", "success second"]);
+        assert.deepStrictEqual(outcomes, ["aborted", "second"]);
+    });
+});
+
+test('sendRequest ignores the response of a superseded request that is not aborted', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport);
+    builder.abortSupersededRequests = false;
+    var outcomes = [];
+    recordOutcome(builder.sendRequest(), outcomes);
+    recordOutcome(builder.sendRequest(), outcomes);
+    transport.requests[1].respond("second");
+    transport.requests[0].respond("first");
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, ["second", "aborted"]);
+        assert.strictEqual(builder.request, null);
+    });
+});
+
+test('sendRequest only sends the last request made during the debounce delay', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport).setDebounceDelay(10);
+    var outcomes = [];
+    recordOutcome(builder.addQueryParameter("q", "a").sendRequest(), outcomes);
+    recordOutcome(builder.addQueryParameter("q", "ab").sendRequest(), outcomes);
+
+    assert.strictEqual(transport.requests.length, 0);
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 20);
+    }).then(function () {
+        assert.deepStrictEqual(transport.requests.map(function (request) {
+            return request.settings.url;
+        }), ["/?q=ab"]);
+        transport.requests[0].respond("ab");
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(outcomes, ["aborted", "ab"]);
+    });
+});
+
+test('abortRequest cancels the debounced request and aborts the request in progress', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport);
+    var outcomes = [];
+    recordOutcome(builder.sendRequest(), outcomes);
+    builder.setDebounceDelay(10);
+    recordOutcome(builder.sendRequest(), outcomes);
+    builder.abortRequest();
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 20);
+    }).then(function () {
+        assert.strictEqual(transport.requests.length, 1);
+        assert.strictEqual(builder.request, null);
+        assert.deepStrictEqual(outcomes.sort(), ["aborted", "aborted"]);
+    });
+});
+
+test('sendRequest rejects with the error of a failed request', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport);
+    var outcomes = [];
+    recordOutcome(builder.sendRequest(), outcomes);
+    transport.requests[0].fail(500);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, ["error"]);
+        assert.strictEqual(transport.requests[0].xhr.status, 500);
+    });
+});
+
+test('sendRequest uses a fresh cached response instead of sending the request', function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport).enableCache(10, 60000);
+    var cached = [];
+    builder.setSuccessCallback(function (data, textStatus, xhr, isFromCache) {
+        cached.push(isFromCache);
+    });
+    builder.sendRequest();
+    transport.requests[0].respond("a");
+    return builder.sendRequest().then(function (result) {
+        assert.strictEqual(transport.requests.length, 1);
+        assert.strictEqual(result.data, "a");
+        assert.strictEqual(result.isFromCache, true);
+        assert.strictEqual(result.revalidation, null);
+        assert.deepStrictEqual(cached, [false, true]);
+
+        builder.invalidate("/");
+        builder.sendRequest();
+
+        assert.strictEqual(transport.requests.length, 2);
+    });
+});
+
+test('sendRequest does not report a failure as unhandled once the error callback has received it', function () {
+    var stop = collectUnhandledRejections();
+    var transport = fakeTransport();
+    var errors = [];
+    var builder = new HttpQueryStringBuilder(transport).setErrorCallback(function (xhr, textStatus) {
+        errors.push(textStatus);
+    });
+    builder.sendRequest();
+    transport.requests[0].fail(500);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(errors, ["error"]);
+        assert.deepStrictEqual(stop(), []);
+    });
+});
@@ -0,0 +1,16 @@
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/**
+ * Runs the specified scripts from the js directory in the global scope, the same way the browser loads them, so that
+ * the constructors they declare become globals.  The tests are run with "npm test".
+ *
+ * @param {Array} scripts The paths of the scripts relative to the js directory, without the extension
+ */
+module.exports = function (scripts) {
+    for (var i = 0; i < scripts.length; i++) {
+        var filename = path.join(__dirname, '..', 'js', scripts[i] + '.js');
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), {filename: filename});
+    }
+};
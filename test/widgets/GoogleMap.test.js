@@ -0,0 +1,287 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+/**
+ * The parts of the Maps JavaScript API that GoogleMap uses to show the user's location and manage Markers.  The
+ * listeners that are still attached are kept in event.listeners.
+ */
+global.google = {
+    maps: {
+        Map: function () {
+            this.zoom = 15;
+            this.center = null;
+            this.isInBounds = true;
+            this.getBounds = function () {
+                var map = this;
+                return {
+                    contains: function () {
+                        return map.isInBounds;
+                    }
+                };
+            };
+            this.getDiv = function () {
+                return {offsetWidth: 400, offsetHeight: 300};
+            };
+            this.getZoom = function () {
+                return this.zoom;
+            };
+            this.setZoom = function (zoom) {
+                this.zoom = zoom;
+            };
+            this.panTo = function (center) {
+                this.center = center;
+            };
+        },
+        Marker: function (options) {
+            this.map = null;
+            this.position = null;
+            this.options = options || {};
+            this.setMap = function (map) {
+                this.map = map;
+            };
+            this.setAnimation = function () {
+
+            };
+            this.setPosition = function (position) {
+                this.position = position;
+            };
+            this.setOptions = function (options) {
+                this.options = options;
+            };
+        },
+        Circle: function () {
+            this.visible = false;
+            this.center = null;
+            this.getVisible = function () {
+                return this.visible;
+            };
+            this.setVisible = function (visible) {
+                this.visible = visible;
+            };
+            this.setCenter = function (center) {
+                this.center = center;
+            };
+            this.setRadius = function () {
+
+            };
+        },
+        LatLng: function (lat, lng) {
+            this.lat = lat;
+            this.lng = lng;
+        },
+        Animation: {},
+        event: {
+            listeners: [],
+            addListener: function (instance, eventName, handler) {
+                var listener = {instance: instance, eventName: eventName, handler: handler};
+                google.maps.event.listeners.push(listener);
+                return listener;
+            },
+            removeListener: function (listener) {
+                var index = google.maps.event.listeners.indexOf(listener);
+                if (index >= 0) {
+                    google.maps.event.listeners.splice(index, 1);
+                }
+            }
+        }
+    }
+};
+
+load(['collections/Collection', 'geolocation/BrowserPositionSource', 'geolocation/SimulatedPositionSource',
+    'geolocation/Geolocator', 'geolocation/GeofenceManager', 'geolocation/TrackRecorder', 'widgets/GoogleMap']);
+
+/**
+ * Creates a GoogleMap on a SimulatedPositionSource with a Map and a user location Circle
+ *
+ * @returns {{source: SimulatedPositionSource, googleMap: GoogleMap, requests: Array}}
+ */
+var createGoogleMap = function () {
+    var source = new SimulatedPositionSource(0);
+    source.isPermissionsApiAvailable = false;
+    var googleMap = new GoogleMap(source);
+    googleMap.map = new google.maps.Map();
+    googleMap.initializeUserLocationCircle({});
+    var requests = [];
+    googleMap.onGeolocationRequestCallback = function () {
+        requests.push(googleMap.geolocator.isCurrentPositionAvailable());
+    };
+    return {source: source, googleMap: googleMap, requests: requests};
+};
+
+test('onGeolocationRequest clears the position, the user Marker and the location Circle', function () {
+    var simulation = createGoogleMap();
+    var googleMap = simulation.googleMap;
+    googleMap.requestPosition();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+
+    assert.strictEqual(googleMap.geolocator.lat, 47.6);
+    assert.strictEqual(googleMap.userMarker.map, googleMap.map);
+    assert.strictEqual(googleMap.userLocationCircle.getVisible(), true);
+
+    googleMap.requestPosition();
+
+    assert.deepStrictEqual(simulation.requests, [false, false]);
+    assert.strictEqual(googleMap.geolocator.isCurrentPositionAvailable(), false);
+    assert.strictEqual(googleMap.geolocator.position, null);
+    assert.strictEqual(googleMap.userMarker.map, null);
+    assert.strictEqual(googleMap.userLocationCircle.getVisible(), false);
+});
+
+test('onGeolocationRequest keeps the location cleared until the next position is due', function () {
+    var simulation = createGoogleMap();
+    var googleMap = simulation.googleMap;
+    googleMap.startPositionUpdateListener();
+    simulation.source.schedulePosition(100, 47.6, -122.3);
+    simulation.source.advance(100);
+    googleMap.stopPositionUpdateListener();
+
+    googleMap.requestPosition();
+    simulation.source.schedulePosition(500, 47.7, -122.4);
+    simulation.source.advance(499);
+
+    assert.strictEqual(googleMap.geolocator.isCurrentPositionAvailable(), false);
+    assert.strictEqual(googleMap.userMarker.map, null);
+    assert.strictEqual(googleMap.userLocationCircle.getVisible(), false);
+
+    simulation.source.advance(1);
+
+    assert.strictEqual(googleMap.geolocator.lat, 47.7);
+    assert.deepStrictEqual(googleMap.userMarker.position, {lat: 47.7, lng: -122.4});
+    assert.strictEqual(googleMap.userMarker.map, googleMap.map);
+    assert.strictEqual(googleMap.userLocationCircle.getVisible(), true);
+});
+
+test('onGeolocationPermissionTimeout reports whether a position is available', function () {
+    var simulation = createGoogleMap();
+    var googleMap = simulation.googleMap;
+    var timeouts = [];
+    googleMap.onGeolocationPermissionTimeoutCallback = function (isPositionAvailable) {
+        timeouts.push(isPositionAvailable);
+    };
+    googleMap.requestPosition();
+    simulation.source.advance(googleMap.geolocatorWaitTimeout);
+
+    assert.deepStrictEqual(timeouts, [false]);
+});
+
+test('setMarkers deletes the keys of the Markers that are no longer in the data', function () {
+    var googleMap = createGoogleMap().googleMap;
+    google.maps.event.listeners = [];
+    for (var page = 0; page < 5; page++) {
+        var data = [];
+        for (var i = 0; i < 10; i++) {
+            data.push({id: page * 10 + i});
+        }
+        googleMap.setMarkers(data);
+    }
+
+    assert.strictEqual(googleMap.markers.keys().length, 10);
+    assert.strictEqual(Object.keys(googleMap.markers.objects).length, 10);
+    assert.strictEqual(Object.keys(googleMap.markerClickListeners.objects).length, 10);
+    assert.strictEqual(google.maps.event.listeners.length, 10);
+});
+
+test('setMarkers updates the Markers that are already managed', function () {
+    var googleMap = createGoogleMap().googleMap;
+    googleMap.setMarkers([{id: 1, title: "a"}, {id: 2, title: "b"}]);
+    var marker = googleMap.getMarker(1);
+    googleMap.setMarkers([{id: 1, title: "c"}]);
+
+    assert.strictEqual(googleMap.getMarker(1), marker);
+    assert.strictEqual(marker.options.title, "c");
+    assert.strictEqual(googleMap.getMarker(2), null);
+});
+
+test('removeMarker detaches the click listener added by addMarkerClickListener by default', function () {
+    var googleMap = createGoogleMap().googleMap;
+    google.maps.event.listeners = [];
+    googleMap.onMarkerClickCallback = function () {
+
+    };
+    var marker = new google.maps.Marker();
+    var listener = googleMap.addMarkerClickListener(marker);
+    var otherListener = google.maps.event.addListener(marker, 'click', function () {
+
+    });
+    googleMap.removeMarker(marker);
+
+    assert.deepStrictEqual(google.maps.event.listeners, [otherListener]);
+    assert.notStrictEqual(listener, null);
+    assert.strictEqual(marker.clickListener, null);
+    assert.strictEqual(marker.map, null);
+});
+
+test('replayed positions enter and exit the geofence regions unless disabled', function () {
+    var simulation = createGoogleMap();
+    var googleMap = simulation.googleMap;
+    var events = [];
+    var geofenceManager = googleMap.enableGeofencing();
+    geofenceManager.addCircle("home", 47.6, -122.3, 100);
+    geofenceManager.onEnterCallback = function (region) {
+        events.push("enter " + region.id);
+    };
+    geofenceManager.onExitCallback = function (region) {
+        events.push("exit " + region.id);
+    };
+    var recorder = new TrackRecorder();
+    recorder.points = [TrackRecorder.toPoint(47.6, -122.3), TrackRecorder.toPoint(47.7, -122.4)];
+    recorder.replay(googleMap.geolocator);
+    simulation.source.advance(recorder.replayInterval);
+
+    assert.deepStrictEqual(events, ["enter home", "exit home"]);
+
+    googleMap.geofenceReplayedPositions = false;
+    recorder.replay(googleMap.geolocator);
+
+    assert.strictEqual(googleMap.geolocator.position.source, "replay");
+    assert.deepStrictEqual(events, ["enter home", "exit home"]);
+});
+
+test('focusOnLocation zooms so that the accuracy circle fits in the Map', function () {
+    var googleMap = createGoogleMap().googleMap;
+    google.maps.event.listeners = [];
+    googleMap.map.isInBounds = false;
+    // A pixel covers about 9.6 m at zoom level 14, so the 300 px high Map shows about 2.9 km
+    googleMap.focusOnLocation(0, 10, 1000);
+
+    assert.strictEqual(googleMap.map.zoom, 14);
+    assert.deepStrictEqual(googleMap.map.center, {lat: 0, lng: 10});
+    assert.deepStrictEqual(google.maps.event.listeners, []);
+
+    // A coarse position from a fallback provider
+    googleMap.focusOnLocation(0, 10, 50000);
+
+    assert.strictEqual(googleMap.map.zoom, 8);
+});
+
+test('focusOnLocation does not zoom in further than the focused zoom level', function () {
+    var googleMap = createGoogleMap().googleMap;
+    googleMap.map.isInBounds = false;
+    googleMap.focusOnLocation(47.6, -122.3, 10);
+
+    assert.strictEqual(googleMap.map.zoom, googleMap.focusedZoomLevel);
+
+    googleMap.focusOnLocation(47.6, -122.3, null);
+
+    assert.strictEqual(googleMap.map.zoom, googleMap.focusedZoomLevel);
+});
+
+test('focusOnLocation leaves the Map alone if the location is in view', function () {
+    var googleMap = createGoogleMap().googleMap;
+    googleMap.map.zoom = 12;
+    googleMap.focusOnLocation(47.6, -122.3, 50000);
+
+    assert.strictEqual(googleMap.map.zoom, 12);
+    assert.strictEqual(googleMap.map.center, null);
+});
+
+test('getAccuracyZoom accounts for the latitude and the size of the Map', function () {
+    assert.strictEqual(GoogleMap.getAccuracyZoom(0, 1000, 400, 300), 14);
+    // Pixels cover half as many meters at 60 degrees
+    assert.strictEqual(GoogleMap.getAccuracyZoom(60, 1000, 400, 300), 13);
+    assert.strictEqual(GoogleMap.getAccuracyZoom(0, 100, 0, 0), GoogleMap.getAccuracyZoom(0, 100, 256, 256));
+    assert.strictEqual(GoogleMap.getAccuracyZoom(0, 1e9, 400, 300), 0);
+    assert.strictEqual(GoogleMap.getAccuracyZoom(90, 1000, 400, 300), 0);
+});
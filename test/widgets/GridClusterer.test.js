@@ -0,0 +1,69 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+
+load(['widgets/GridClusterer']);
+
+test('project maps the coordinates to world pixels', function () {
+    var clusterer = new GridClusterer();
+
+    assert.deepStrictEqual(clusterer.project(0, 0, 0), {x: 128, y: 128});
+    assert.deepStrictEqual(clusterer.project(0, 180, 1), {x: 512, y: 256});
+    assert.ok(clusterer.project(85, 0, 0).y < 1);
+    assert.ok(isFinite(clusterer.project(90, 0, 0).y));
+});
+
+test('cluster groups the points that fall into the same grid cell', function () {
+    var clusterer = new GridClusterer(60);
+    var points = [
+        {id: "a", lat: 47.60, lng: -122.33},
+        {id: "b", lat: 47.61, lng: -122.34},
+        {id: "c", lat: 40.71, lng: -74.00}
+    ];
+    var clusters = clusterer.cluster(points, 5);
+
+    assert.strictEqual(clusters.length, 2);
+    assert.deepStrictEqual(clusters[0].points.map(function (point) {
+        return point.id;
+    }), ["a", "b"]);
+    assert.strictEqual(clusters[1].count, 1);
+    assert.strictEqual(clusters[1].points[0].id, "c");
+});
+
+test('cluster splits the groups as the zoom level increases', function () {
+    var clusterer = new GridClusterer(60);
+    var points = [
+        {lat: 47.60, lng: -122.33},
+        {lat: 47.61, lng: -122.34}
+    ];
+
+    assert.strictEqual(clusterer.cluster(points, 5).length, 1);
+    assert.strictEqual(clusterer.cluster(points, 15).length, 2);
+});
+
+test('cluster does not group points above the maxZoom', function () {
+    var clusterer = new GridClusterer(60, 10);
+    var points = [
+        {lat: 47.6000, lng: -122.3300},
+        {lat: 47.6001, lng: -122.3301}
+    ];
+
+    assert.strictEqual(clusterer.cluster(points, 10).length, 1);
+    assert.strictEqual(clusterer.cluster(points, 11).length, 2);
+    assert.strictEqual(new GridClusterer(60).cluster(points, 11).length, 1);
+});
+
+test('cluster computes the centroid and the bounds of each cluster', function () {
+    var clusterer = new GridClusterer(60);
+    var clusters = clusterer.cluster([
+        {lat: 10, lng: 20},
+        {lat: 10.2, lng: 20.4},
+        {lat: 10.1, lng: 20.5}
+    ], 1);
+
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].count, 3);
+    assert.ok(Math.abs(clusters[0].lat - 10.1) < 1e-9);
+    assert.ok(Math.abs(clusters[0].lng - 20.3) < 1e-9);
+    assert.deepStrictEqual(clusters[0].bounds, {north: 10.2, south: 10, east: 20.5, west: 20});
+});
@@ -0,0 +1,148 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+
+load(['collections/Collection', 'collections/LruCache', 'http/Deferred', 'http/HttpRequestError', 'http/XhrShim',
+    'http/FetchTransport', 'http/HttpQueryStringBuilder', 'widgets/PaginationController']);
+
+/**
+ * Creates a PaginationController that records the pages it loads
+ *
+ * @returns {{controller: PaginationController, builder: HttpQueryStringBuilder, transport: object, pages: Array,
+ * events: Array}}
+ */
+var createController = function () {
+    var transport = fakeTransport();
+    var builder = new HttpQueryStringBuilder(transport).setBaseUri("/items");
+    var controller = new PaginationController(builder);
+    var pages = [];
+    var events = [];
+    controller.onPageLoadedCallback = function (data, page) {
+        pages.push([page, data]);
+    };
+    controller.onResetCallback = function () {
+        events.push("reset");
+    };
+    controller.onEndOfResultsCallback = function () {
+        events.push("end");
+    };
+    controller.errorCallback = function (xhr, textStatus) {
+        events.push(textStatus);
+    };
+    return {controller: controller, builder: builder, transport: transport, pages: pages, events: events};
+};
+
+test('loadNextPage loads consecutive pages until an empty page', function () {
+    var pagination = createController();
+    pagination.controller.loadNextPage();
+    pagination.transport.requests[0].respond([1, 2]);
+    return fakeTransport.flush().then(function () {
+        pagination.controller.loadNextPage();
+        pagination.transport.requests[1].respond([]);
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(pagination.transport.requests.map(function (request) {
+            return request.settings.url;
+        }), ["/items?page=1", "/items?page=2"]);
+        assert.deepStrictEqual(pagination.pages, [[1, [1, 2]], [2, []]]);
+        assert.deepStrictEqual(pagination.events, ["end"]);
+        assert.strictEqual(pagination.controller.loadNextPage(), false);
+    });
+});
+
+test('loadNextPage does not send another request while a page is loading', function () {
+    var pagination = createController();
+
+    assert.strictEqual(pagination.controller.loadNextPage(), true);
+    assert.strictEqual(pagination.controller.loadNextPage(), false);
+    assert.strictEqual(pagination.transport.requests.length, 1);
+});
+
+test('endOfResultsDetector decides which page is the last one', function () {
+    var pagination = createController();
+    pagination.controller.endOfResultsDetector = function (data) {
+        return data.isLast;
+    };
+    pagination.controller.loadNextPage();
+    pagination.transport.requests[0].respond({isLast: true});
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(pagination.controller.hasMorePages, false);
+        assert.deepStrictEqual(pagination.events, ["end"]);
+    });
+});
+
+test('changing the filters discards the loaded pages and loads the first page once', function () {
+    var pagination = createController();
+    pagination.controller.loadNextPage();
+    pagination.transport.requests[0].respond([1]);
+    return fakeTransport.flush().then(function () {
+        pagination.builder.addQueryParameter("q", "a").addQueryParameter("sort", "name");
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(pagination.events, ["reset"]);
+        assert.strictEqual(pagination.transport.requests.length, 2);
+        assert.strictEqual(pagination.transport.requests[1].settings.url, "/items?page=1&q=a&sort=name");
+    });
+});
+
+test('changing the filters ignores the response of the page that was loading', function () {
+    var pagination = createController();
+    pagination.controller.loadNextPage();
+    pagination.transport.requests[0].respond([1]);
+    return fakeTransport.flush().then(function () {
+        pagination.controller.loadNextPage();
+        pagination.controller.refresh();
+        pagination.transport.requests[1].respond(["stale"]);
+        pagination.transport.requests[2].respond(["fresh"]);
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(pagination.pages, [[1, [1]], [1, ["fresh"]]]);
+        assert.strictEqual(pagination.controller.lastLoadedPage, 1);
+    });
+});
+
+test('errorCallback executes when a page fails to load and the page can be loaded again', function () {
+    var pagination = createController();
+    pagination.controller.loadNextPage();
+    pagination.transport.requests[0].fail(500);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(pagination.events, ["error"]);
+        assert.strictEqual(pagination.controller.isLoading, false);
+
+        pagination.controller.loadNextPage();
+
+        assert.strictEqual(pagination.transport.requests[1].settings.url, "/items?page=1");
+    });
+});
+
+test('bindLoadMoreButton loads the next page on click and disables the button while loading', function () {
+    var pagination = createController();
+    var button = {
+        listeners: [],
+        addEventListener: function (type, listener) {
+            this.listeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            this.listeners.splice(this.listeners.indexOf(listener), 1);
+        }
+    };
+    pagination.controller.bindLoadMoreButton(button);
+    button.listeners[0]({
+        preventDefault: function () {
+
+        }
+    });
+
+    assert.strictEqual(button.disabled, true);
+
+    pagination.transport.requests[0].respond([]);
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(button.disabled, false);
+        assert.strictEqual(button.hidden, true);
+
+        pagination.controller.destroy();
+
+        assert.deepStrictEqual(button.listeners, []);
+    });
+});
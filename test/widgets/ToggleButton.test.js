@@ -0,0 +1,581 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+var createElement = require('../fakeElement');
+var collectUnhandledRejections = require('../collectUnhandledRejections');
+
+load(['http/Deferred', 'http/HttpRequestError', 'http/XhrShim', 'http/FetchTransport', 'widgets/ToggleButton']);
+
+/**
+ * Creates a ToggleButton without an element that sends its requests to a fake transport
+ *
+ * @param serverState The initial state
+ * @returns {{toggleButton: ToggleButton, transport: object}}
+ */
+var createToggleButton = function (serverState) {
+    var transport = fakeTransport();
+    var toggleButton = new ToggleButton(null, "/items/1/favorite", serverState || 0, "favorite", transport);
+    return {toggleButton: toggleButton, transport: transport};
+};
+
+test('selectState resolves with the response and the new server state', function () {
+    var button = createToggleButton(0);
+    var promise = button.toggleButton.selectState(1);
+    button.transport.requests[0].respond({ok: true});
+    return promise.then(function (result) {
+        assert.deepStrictEqual(result.data, {ok: true});
+        assert.strictEqual(result.state, 1);
+        assert.strictEqual(button.toggleButton.serverState, 1);
+    });
+});
+
+test('selectState rejects with the error of a failed request', function () {
+    var button = createToggleButton(0);
+    var promise = button.toggleButton.selectState(1);
+    button.transport.requests[0].fail(500);
+    return promise.then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error.textStatus, "error");
+        assert.strictEqual(error.isAborted, false);
+    });
+});
+
+test('selectState does not report a failure as unhandled once the error callback has received it', function () {
+    var stop = collectUnhandledRejections();
+    var button = createToggleButton(0);
+    var errors = [];
+    button.toggleButton.errorCallback = function (serverState, xhr, textStatus) {
+        errors.push(textStatus);
+    };
+    button.toggleButton.selectState(1);
+    button.transport.requests[0].fail(500);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(errors, ["error"]);
+        assert.deepStrictEqual(stop(), []);
+    });
+});
+
+test('selectState shows the selected state and the pending state before the server responds', function () {
+    var button = createToggleButton(0);
+    var element = createElement("BUTTON");
+    button.toggleButton.element = element;
+    button.toggleButton.selectState(1);
+
+    assert.strictEqual(element.classList.contains("toggle-on"), true);
+    assert.strictEqual(element.classList.contains("toggle-off"), false);
+    assert.strictEqual(element.classList.contains("toggle-pending"), true);
+    assert.strictEqual(element.getAttribute("aria-pressed"), "true");
+    assert.strictEqual(element.disabled, true);
+
+    button.transport.requests[0].respond({});
+
+    assert.strictEqual(element.classList.contains("toggle-on"), true);
+    assert.strictEqual(element.classList.contains("toggle-pending"), false);
+    assert.strictEqual(element.disabled, false);
+});
+
+test('a failed request reverts the selected state and shows the error state', function () {
+    var button = createToggleButton(0);
+    var element = createElement("SPAN");
+    button.toggleButton.element = element;
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+
+    assert.strictEqual(element.getAttribute("aria-disabled"), "true");
+
+    button.transport.requests[0].fail(500);
+
+    assert.strictEqual(button.toggleButton.selectedState, 0);
+    assert.strictEqual(element.classList.contains("toggle-off"), true);
+    assert.strictEqual(element.classList.contains("toggle-on"), false);
+    assert.strictEqual(element.classList.contains("toggle-error"), true);
+    assert.strictEqual(element.getAttribute("aria-pressed"), "false");
+    assert.strictEqual(element.getAttribute("aria-disabled"), "false");
+});
+
+test('selecting a state again clears the error state', function () {
+    var button = createToggleButton(0);
+    var element = createElement("BUTTON");
+    button.toggleButton.element = element;
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.transport.requests[0].fail(500);
+    button.toggleButton.selectState(1);
+
+    assert.strictEqual(element.classList.contains("toggle-error"), false);
+    assert.strictEqual(element.classList.contains("toggle-on"), true);
+});
+
+test('bindEvents activates elements that are not buttons with Space and Enter', function () {
+    var button = createToggleButton(0);
+    var element = createElement("DIV");
+    button.toggleButton.element = element;
+    button.toggleButton.bindEvents();
+
+    assert.strictEqual(element.getAttribute("role"), "button");
+    assert.strictEqual(element.getAttribute("tabindex"), "0");
+
+    element.dispatch("keydown", {key: "Enter"});
+    button.transport.requests[0].respond({});
+    element.dispatch("keydown", {key: "a"});
+    element.dispatch("click");
+
+    assert.strictEqual(button.transport.requests.length, 2);
+    assert.strictEqual(button.toggleButton.selectedState, 0);
+
+    button.toggleButton.unbindEvents();
+
+    assert.deepStrictEqual(element.listeners, {});
+});
+
+/**
+ * Records how a Promise settles
+ *
+ * @param {Promise} promise The Promise
+ * @param {Array} outcomes Receives the state or "aborted" or the text status of the error
+ */
+var recordOutcome = function (promise, outcomes) {
+    promise.then(function (result) {
+        outcomes.push(result.state);
+    }, function (error) {
+        outcomes.push(error.isAborted ? "aborted" : error.textStatus);
+    });
+};
+
+test('the drop policy ignores changes while a request is in progress', function () {
+    var button = createToggleButton(0);
+    var outcomes = [];
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    recordOutcome(button.toggleButton.selectState(0), outcomes);
+
+    assert.strictEqual(button.toggleButton.selectedState, 1);
+    assert.strictEqual(button.transport.requests.length, 1);
+
+    button.transport.requests[0].respond({});
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, ["aborted", 1]);
+    });
+});
+
+test('the queue policy only sends the last change made while a request is in progress', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.states = [0, 1, 2];
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_QUEUE;
+    var outcomes = [];
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    recordOutcome(button.toggleButton.selectState(2), outcomes);
+    recordOutcome(button.toggleButton.selectState(0), outcomes);
+    recordOutcome(button.toggleButton.selectState(2), outcomes);
+    button.transport.requests[0].respond({});
+
+    assert.strictEqual(button.transport.requests.length, 2);
+    assert.strictEqual(button.transport.requests[1].settings.data.favorite, 2);
+
+    button.transport.requests[1].respond({});
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, [1, 2, 2, 2]);
+        assert.strictEqual(button.toggleButton.serverState, 2);
+    });
+});
+
+test('the queue policy does not send a change that matches the server state by then', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_QUEUE;
+    var outcomes = [];
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    recordOutcome(button.toggleButton.selectState(0), outcomes);
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    button.transport.requests[0].respond({});
+    return fakeTransport.flush().then(function () {
+        assert.strictEqual(button.transport.requests.length, 1);
+        assert.deepStrictEqual(outcomes, [1, 1, 1]);
+    });
+});
+
+test('the queue policy keeps the queued change when the request in progress fails', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_QUEUE;
+    var outcomes = [];
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    button.toggleButton.selectState(0);
+    button.toggleButton.selectState(1);
+    button.transport.requests[0].fail(500);
+
+    assert.strictEqual(button.toggleButton.selectedState, 1);
+    assert.strictEqual(button.transport.requests.length, 2);
+    assert.strictEqual(button.transport.requests[1].settings.data.favorite, 1);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, ["error"]);
+    });
+});
+
+test('the abort policy aborts the request in progress and sends the latest change', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_ABORT;
+    var completed = [];
+    button.toggleButton.completeCallback = function (xhr, textStatus) {
+        completed.push(textStatus);
+    };
+    var outcomes = [];
+    recordOutcome(button.toggleButton.selectState(1), outcomes);
+    recordOutcome(button.toggleButton.selectState(0), outcomes);
+
+    assert.strictEqual(button.transport.requests[0].xhr.isAborted, true);
+    assert.strictEqual(button.toggleButton.isRequestInProgress, true);
+
+    button.transport.requests[1].respond({});
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(outcomes, ["aborted", 0]);
+        assert.deepStrictEqual(completed, ["success"]);
+        assert.strictEqual(button.toggleButton.isRequestInProgress, false);
+        assert.strictEqual(button.toggleButton.request, null);
+    });
+});
+
+test('next and previous cycle through the states and wrap around', function () {
+    var button = createToggleButton("none");
+    button.toggleButton.states = ["none", "like", "love"];
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_ABORT;
+    button.toggleButton.next()["catch"](ToggleButton.ignoreRejection);
+    button.toggleButton.next()["catch"](ToggleButton.ignoreRejection);
+    button.toggleButton.next()["catch"](ToggleButton.ignoreRejection);
+
+    assert.strictEqual(button.toggleButton.selectedState, "none");
+
+    button.toggleButton.previous()["catch"](ToggleButton.ignoreRejection);
+
+    assert.strictEqual(button.toggleButton.selectedState, "love");
+    assert.deepStrictEqual(button.transport.requests.map(function (request) {
+        return request.settings.data.favorite;
+    }), ["like", "love", "none", "love"]);
+});
+
+test('normalizeState matches states read from attributes and rejects unknown states', function () {
+    var toggleButton = createToggleButton(1).toggleButton;
+
+    assert.strictEqual(toggleButton.normalizeState("1"), 1);
+    assert.strictEqual(toggleButton.normalizeState(true), 1);
+    assert.strictEqual(toggleButton.normalizeState("yes"), 0);
+
+    toggleButton.states = [1, 2, 3];
+
+    assert.strictEqual(toggleButton.normalizeState("2"), 2);
+    assert.throws(function () {
+        toggleButton.selectState(4);
+    }, RangeError);
+    assert.strictEqual(toggleButton.selectedState, 1);
+});
+
+test('render applies the class and label of the selected state only', function () {
+    var button = createToggleButton("none");
+    var element = createElement("BUTTON");
+    var labelElement = {textContent: ""};
+    var toggleButton = button.toggleButton;
+    toggleButton.element = element;
+    toggleButton.labelElement = labelElement;
+    toggleButton.states = ["none", "like", "love"];
+    toggleButton.stateClasses = {none: "reaction-none", like: "reaction-like", love: "reaction-love"};
+    toggleButton.stateLabels = {none: "React", like: "Liked", love: "Loved"};
+    toggleButton.render();
+    toggleButton.selectState("love");
+
+    assert.strictEqual(element.classList.contains("reaction-love"), true);
+    assert.strictEqual(element.classList.contains("reaction-none"), false);
+    assert.strictEqual(element.getAttribute("aria-label"), "Loved");
+    assert.strictEqual(element.hasAttribute("aria-pressed"), false);
+    assert.strictEqual(labelElement.textContent, "Loved");
+});
+
+/**
+ * Creates a root element whose querySelectorAll returns the specified elements
+ *
+ * @param {Array} elements The elements with a data-toggle-uri attribute
+ * @returns {object} The root element
+ */
+var createRoot = function (elements) {
+    var root = createElement("DIV");
+    root.querySelectorAll = function (selector) {
+        assert.strictEqual(selector, "[data-toggle-uri]");
+        return elements;
+    };
+    return root;
+};
+
+test('initAll creates a ToggleButton from the data attributes of each element', function () {
+    var transport = fakeTransport();
+    var favorite = createElement("BUTTON", {"data-toggle-uri": "/items/1/favorite", "data-toggle-state": "1"});
+    var reaction = createElement("SPAN", {
+        "data-toggle-uri": "/items/1/reaction",
+        "data-toggle-param": "reaction",
+        "data-toggle-method": "put",
+        "data-toggle-states": "none, like, love",
+        "data-toggle-state": " like "
+    });
+    var toggleButtons = ToggleButton.initAll(createRoot([favorite, reaction]), transport);
+
+    assert.deepStrictEqual(toggleButtons, [favorite.toggleButton, reaction.toggleButton]);
+    assert.strictEqual(favorite.toggleButton.serverState, 1);
+    assert.strictEqual(favorite.getAttribute("aria-pressed"), "true");
+    assert.deepStrictEqual(reaction.toggleButton.states, ["none", "like", "love"]);
+    assert.strictEqual(reaction.toggleButton.selectedState, "like");
+    assert.strictEqual(reaction.toggleButton.httpMethod, "PUT");
+    assert.strictEqual(reaction.toggleButton.parameterName, "reaction");
+
+    reaction.dispatch("click");
+
+    assert.strictEqual(transport.requests[0].settings.type, "PUT");
+    assert.strictEqual(transport.requests[0].settings.data.reaction, "love");
+});
+
+test('initAll skips elements that already have a ToggleButton and includes the root', function () {
+    var element = createElement("BUTTON", {"data-toggle-uri": "/items/1/favorite"});
+    var root = createRoot([element]);
+    root.setAttribute("data-toggle-uri", "/items/2/favorite");
+    ToggleButton.initAll(root, fakeTransport());
+
+    assert.deepStrictEqual(ToggleButton.initAll(root, fakeTransport()), []);
+    assert.strictEqual(root.toggleButton.uri, "/items/2/favorite");
+    assert.strictEqual(element.toggleButton.serverState, 0);
+});
+
+test('initAll reports the elements that could not be initialized to the error callback', function () {
+    var invalid = createElement("BUTTON", {
+        "data-toggle-uri": "/a",
+        "data-toggle-states": "a,b",
+        "data-toggle-state": "c"
+    });
+    var valid = createElement("BUTTON", {"data-toggle-uri": "/b"});
+    var failures = [];
+    var toggleButtons = ToggleButton.initAll(createRoot([invalid, valid]), fakeTransport(), function (element, e) {
+        failures.push([element, e.name]);
+    });
+
+    assert.deepStrictEqual(failures, [[invalid, "RangeError"]]);
+    assert.deepStrictEqual(toggleButtons, [valid.toggleButton]);
+    assert.strictEqual(invalid.toggleButton, undefined);
+});
+
+test('initAll skips the elements that could not be initialized without logging', function () {
+    var warn = console.warn;
+    var warnings = [];
+    console.warn = function () {
+        warnings.push(arguments);
+    };
+    try {
+        var invalid = createElement("BUTTON", {"data-toggle-uri": "/a", "data-toggle-state": "c"});
+        invalid.setAttribute("data-toggle-states", "a,b");
+        var toggleButtons = ToggleButton.initAll(createRoot([invalid]), fakeTransport());
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepStrictEqual(toggleButtons, []);
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('GET, HEAD and DELETE requests send the data in the query string', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.httpMethod = "DELETE";
+    button.toggleButton.uri = "/items/1?source=list";
+    button.toggleButton.extraParameters = {token: "a b"};
+    button.toggleButton.selectState(1);
+
+    assert.strictEqual(button.transport.requests[0].settings.url, "/items/1?source=list&token=a%20b&favorite=1");
+    assert.strictEqual(button.transport.requests[0].settings.data, undefined);
+});
+
+test('requests with a body send the data as a form or as JSON', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.httpMethod = "PATCH";
+    button.toggleButton.concurrencyPolicy = ToggleButton.CONCURRENCY_ABORT;
+    button.toggleButton.extraParameters = function (toggleButton) {
+        return {previous: toggleButton.serverState};
+    };
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.toggleButton.requestBodyFormat = "json";
+    button.toggleButton.selectState(0);
+
+    assert.deepStrictEqual(button.transport.requests[0].settings.data, {previous: 0, favorite: 1});
+    assert.strictEqual(button.transport.requests[0].settings.contentType, undefined);
+    assert.strictEqual(button.transport.requests[1].settings.data, "{\"previous\":0,\"favorite\":0}");
+    assert.strictEqual(button.transport.requests[1].settings.contentType, "application/json; charset=UTF-8");
+});
+
+test('buildUri replaces the placeholders with the encoded URI parameters', function () {
+    var button = createToggleButton(0);
+    button.toggleButton.uri = "/lists/{list}/items/{id}";
+    button.toggleButton.uriParameters = {list: "a/b", id: 7};
+
+    assert.strictEqual(button.toggleButton.buildUri(), "/lists/a%2Fb/items/7");
+});
+
+test('selectState rejects and reverts the state when a URI parameter does not have a value', function () {
+    var button = createToggleButton(0);
+    var element = createElement("BUTTON");
+    button.toggleButton.element = element;
+    button.toggleButton.uri = "/items/{id}";
+    var promise = button.toggleButton.selectState(1);
+
+    assert.strictEqual(button.transport.requests.length, 0);
+    assert.strictEqual(button.toggleButton.selectedState, 0);
+    assert.strictEqual(element.classList.contains("toggle-off"), true);
+    return promise.then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error.message, "The URI parameter \"id\" does not have a value.");
+    });
+});
+
+/**
+ * Replaces the window with one that keeps localStorage in memory and records its online listeners, and the navigator
+ * with one that reports the specified connection state
+ *
+ * @param {boolean} isOnline Whether the browser is online
+ * @returns {{storage: object, listeners: Array}} The window
+ */
+var stubWindow = function (isOnline) {
+    var stub = {
+        storage: {},
+        listeners: [],
+        addEventListener: function (type, listener) {
+            stub.listeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            stub.listeners.splice(stub.listeners.indexOf(listener), 1);
+        }
+    };
+    stub.localStorage = {
+        getItem: function (key) {
+            return stub.storage.hasOwnProperty(key) ? stub.storage[key] : null;
+        },
+        setItem: function (key, value) {
+            stub.storage[key] = value;
+        }
+    };
+    global.window = stub;
+    global.navigator = {onLine: isOnline};
+    return stub;
+};
+
+/**
+ * Waits for the specified amount of time
+ *
+ * @param {number} delay The amount of time (ms)
+ * @returns {Promise} Resolves once the time has passed
+ */
+var wait = function (delay) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, delay);
+    });
+};
+
+test('offline mode keeps and persists a change that fails because of the connection', function () {
+    var stub = stubWindow(false);
+    var button = createToggleButton(0);
+    var element = createElement("BUTTON");
+    var pending = [];
+    button.toggleButton.element = element;
+    button.toggleButton.onPendingSyncCallback = function (state) {
+        pending.push(state);
+    };
+    button.toggleButton.enableOfflineMode();
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.transport.requests[0].fail(0);
+
+    assert.strictEqual(button.toggleButton.selectedState, 1);
+    assert.strictEqual(button.toggleButton.isPendingSync, true);
+    assert.strictEqual(element.classList.contains("toggle-pending-sync"), true);
+    assert.strictEqual(element.classList.contains("toggle-error"), false);
+    assert.deepStrictEqual(pending, [1]);
+    assert.strictEqual(ToggleButton.loadPendingChanges()["POST /items/1/favorite favorite"].state, 1);
+
+    button.toggleButton.disableOfflineMode();
+
+    assert.deepStrictEqual(stub.listeners, []);
+});
+
+test('offline mode retries the pending change when the browser comes back online', function () {
+    var stub = stubWindow(false);
+    var button = createToggleButton(0);
+    var synced = [];
+    button.toggleButton.onSyncedCallback = function (state) {
+        synced.push(state);
+    };
+    button.toggleButton.enableOfflineMode();
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.transport.requests[0].fail(0);
+    stub.listeners[0]();
+    button.transport.requests[1].respond({});
+
+    assert.strictEqual(button.toggleButton.isPendingSync, false);
+    assert.deepStrictEqual(synced, [1]);
+    assert.deepStrictEqual(ToggleButton.loadPendingChanges(), {});
+    button.toggleButton.disableOfflineMode();
+});
+
+test('offline mode retries the pending change with exponential backoff', function () {
+    stubWindow(true);
+    var button = createToggleButton(0);
+    button.toggleButton.retryBaseDelay = 5;
+    button.toggleButton.enableOfflineMode();
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.transport.requests[0].fail(0, "timeout");
+    return wait(20).then(function () {
+        assert.strictEqual(button.transport.requests.length, 2);
+        assert.strictEqual(button.toggleButton.retryAttempts, 1);
+
+        button.transport.requests[1].fail(0, "timeout");
+
+        assert.strictEqual(button.toggleButton.retryAttempts, 2);
+        button.toggleButton.disableOfflineMode();
+    });
+});
+
+test('enableOfflineMode restores and retries the change that was persisted on a previous page load', function () {
+    var stub = stubWindow(true);
+    stub.storage[ToggleButton.pendingChangesStorageKey] = JSON.stringify({
+        "POST /items/1/favorite favorite": {state: 1, updatedAt: 0}
+    });
+    var button = createToggleButton(0);
+    button.toggleButton.enableOfflineMode();
+
+    assert.strictEqual(button.toggleButton.selectedState, 1);
+    assert.strictEqual(button.transport.requests[0].settings.data.favorite, 1);
+
+    button.transport.requests[0].respond({});
+
+    assert.deepStrictEqual(ToggleButton.loadPendingChanges(), {});
+    button.toggleButton.disableOfflineMode();
+});
+
+test('offline mode reverts changes that the server rejects', function () {
+    stubWindow(true);
+    var button = createToggleButton(0);
+    button.toggleButton.enableOfflineMode();
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    button.transport.requests[0].fail(500);
+
+    assert.strictEqual(button.toggleButton.selectedState, 0);
+    assert.strictEqual(button.toggleButton.isPendingSync, false);
+    assert.deepStrictEqual(ToggleButton.loadPendingChanges(), {});
+    button.toggleButton.disableOfflineMode();
+});
+
+test('offline mode keeps a change without a sync key in memory when the URI cannot be built', function () {
+    stubWindow(false);
+    var button = createToggleButton(0);
+    var id = 1;
+    button.toggleButton.uri = "/items/{id}/favorite";
+    button.toggleButton.uriParameters = function () {
+        return {id: id};
+    };
+    button.toggleButton.enableOfflineMode();
+    button.toggleButton.selectState(1)["catch"](ToggleButton.ignoreRejection);
+    id = null;
+    button.transport.requests[0].fail(0);
+
+    assert.strictEqual(button.toggleButton.getSyncKey(), null);
+    assert.strictEqual(button.toggleButton.isPendingSync, true);
+    assert.deepStrictEqual(ToggleButton.loadPendingChanges(), {});
+    button.toggleButton.disableOfflineMode();
+});
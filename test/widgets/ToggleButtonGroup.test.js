@@ -0,0 +1,167 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+var createElement = require('../fakeElement');
+
+load(['http/Deferred', 'http/HttpRequestError', 'http/XhrShim', 'http/FetchTransport', 'widgets/ToggleButton',
+    'widgets/ToggleButtonGroup']);
+
+/**
+ * Creates a ToggleButtonGroup of ToggleButtons that send their requests to a fake transport
+ *
+ * @param {Array} serverStates The initial state of each ToggleButton
+ * @param {number} maxSelected The maximum number of ToggleButtons that can be on at once
+ * @returns {{group: ToggleButtonGroup, buttons: Array, transport: object}}
+ */
+var createGroup = function (serverStates, maxSelected) {
+    var transport = fakeTransport();
+    var group = new ToggleButtonGroup(createElement("DIV"), maxSelected, transport);
+    var buttons = [];
+    for (var i = 0; i < serverStates.length; i++) {
+        var element = createElement("BUTTON", {"data-toggle-value": "option" + i});
+        buttons.push(new ToggleButton(element, "/options/" + i, serverStates[i], "selected", transport));
+        group.add(buttons[i]);
+    }
+    return {group: group, buttons: buttons, transport: transport};
+};
+
+/**
+ * Gets the selected states of the ToggleButtons
+ *
+ * @param {Array} buttons The ToggleButtons
+ * @returns {Array} The selected states
+ */
+var getSelectedStates = function (buttons) {
+    return buttons.map(function (button) {
+        return button.selectedState;
+    });
+};
+
+test('an exclusive group turns the other ToggleButtons off', function () {
+    var radio = createGroup([1, 0, 0], 1);
+    var promise = radio.group.toggle(radio.buttons[2]);
+
+    assert.deepStrictEqual(getSelectedStates(radio.buttons), [0, 0, 1]);
+    assert.deepStrictEqual(radio.transport.requests.map(function (request) {
+        return request.settings.url;
+    }), ["/options/0", "/options/2"]);
+
+    radio.transport.requests[0].respond({});
+    radio.transport.requests[1].respond({});
+    return promise.then(function (values) {
+        assert.deepStrictEqual(values, ["option2"]);
+    });
+});
+
+test('an exclusive group does not turn off the ToggleButton that is on', function () {
+    var radio = createGroup([1, 0], 1);
+    return radio.group.toggle(radio.buttons[0]).then(function (values) {
+        assert.deepStrictEqual(values, ["option0"]);
+        assert.strictEqual(radio.transport.requests.length, 0);
+    });
+});
+
+test('a group rejects turning on more than the maximum number of ToggleButtons', function () {
+    var checkboxes = createGroup([1, 1, 0], 2);
+    return checkboxes.group.toggle(checkboxes.buttons[2]).then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error instanceof RangeError, true);
+        assert.strictEqual(checkboxes.transport.requests.length, 0);
+        assert.deepStrictEqual(getSelectedStates(checkboxes.buttons), [1, 1, 0]);
+    });
+});
+
+test('a group rolls back every ToggleButton when one of the requests fails', function () {
+    var radio = createGroup([1, 0], 1);
+    var errors = [];
+    radio.group.errorCallback = function (error) {
+        errors.push(error.textStatus);
+    };
+    var promise = radio.group.toggle(radio.buttons[1]);
+    radio.transport.requests[0].respond({});
+    radio.transport.requests[1].fail(500);
+    return promise.then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error.textStatus, "error");
+        assert.deepStrictEqual(errors, ["error"]);
+        // The ToggleButton that was turned off on the server is turned on again
+        assert.strictEqual(radio.transport.requests[2].settings.url, "/options/0");
+        assert.strictEqual(radio.transport.requests[2].settings.data.selected, 1);
+        assert.deepStrictEqual(getSelectedStates(radio.buttons), [1, 0]);
+    });
+});
+
+test('a group sends the selected values in one batched request', function () {
+    var checkboxes = createGroup([1, 0, 0], 3);
+    checkboxes.group.batchUri = "/options";
+    var promise = checkboxes.group.toggle(checkboxes.buttons[2]);
+
+    assert.strictEqual(checkboxes.transport.requests.length, 1);
+    assert.deepStrictEqual(checkboxes.transport.requests[0].settings.data, {selected: ["option0", "option2"]});
+
+    checkboxes.transport.requests[0].respond({});
+    return promise.then(function (values) {
+        assert.deepStrictEqual(values, ["option0", "option2"]);
+        assert.strictEqual(checkboxes.buttons[2].serverState, 1);
+    });
+});
+
+test('a failed batched request rolls back the ToggleButtons', function () {
+    var radio = createGroup([1, 0], 1);
+    radio.group.batchUri = "/options";
+    var promise = radio.group.toggle(radio.buttons[1]);
+    radio.transport.requests[0].fail(500);
+    return promise.then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function () {
+        assert.deepStrictEqual(getSelectedStates(radio.buttons), [1, 0]);
+        assert.strictEqual(radio.buttons[1].hasError, true);
+        assert.strictEqual(radio.transport.requests.length, 1);
+    });
+});
+
+test('a group ignores changes while a request is in progress', function () {
+    var radio = createGroup([1, 0, 0], 1);
+    radio.group.batchUri = "/options";
+    radio.group.toggle(radio.buttons[1]);
+    return radio.group.toggle(radio.buttons[2]).then(function () {
+        assert.fail("The Promise should have been rejected");
+    }, function (error) {
+        assert.strictEqual(error.isAborted, true);
+        assert.deepStrictEqual(getSelectedStates(radio.buttons), [0, 1, 0]);
+    });
+});
+
+test('an exclusive group applies the radio roles and moves the selection with the arrow keys', function () {
+    var radio = createGroup([0, 1, 0], 1);
+    var elements = radio.buttons.map(function (button) {
+        return button.element;
+    });
+
+    assert.strictEqual(radio.group.element.getAttribute("role"), "radiogroup");
+    assert.strictEqual(elements[1].getAttribute("role"), "radio");
+    assert.strictEqual(elements[1].getAttribute("aria-checked"), "true");
+    assert.strictEqual(elements[1].hasAttribute("aria-pressed"), false);
+    assert.deepStrictEqual(elements.map(function (element) {
+        return element.getAttribute("tabindex");
+    }), ["-1", "0", "-1"]);
+
+    elements[1].dispatch("keydown", {key: "ArrowRight"});
+
+    assert.strictEqual(createElement.activeElement, elements[2]);
+    assert.deepStrictEqual(getSelectedStates(radio.buttons), [0, 0, 1]);
+    assert.strictEqual(elements[2].getAttribute("tabindex"), "0");
+});
+
+test('remove detaches the ToggleButton from the group', function () {
+    var radio = createGroup([1, 0], 1);
+    var button = radio.buttons[0];
+    radio.group.remove(button);
+
+    assert.strictEqual(button.group, null);
+    assert.deepStrictEqual(button.element.listeners, {});
+    assert.deepStrictEqual(radio.group.getSelectedValues(), []);
+});
@@ -0,0 +1,138 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var load = require('../load');
+var fakeTransport = require('../fakeTransport');
+
+load(['collections/Collection', 'collections/LruCache', 'http/Deferred', 'http/HttpRequestError', 'http/XhrShim',
+    'http/FetchTransport', 'http/HttpQueryStringBuilder', 'widgets/ViewportSearch']);
+
+/**
+ * Creates a ViewportSearch on a Map showing the specified bounds
+ *
+ * @param {google.maps.LatLngBoundsLiteral} bounds The bounds of the Map
+ * @returns {{search: ViewportSearch, transport: object, markers: Array}}
+ */
+var createSearch = function (bounds) {
+    var transport = fakeTransport();
+    var markers = [];
+    var googleMap = {
+        map: {
+            getBounds: function () {
+                return {
+                    toJSON: function () {
+                        return bounds;
+                    }
+                };
+            }
+        },
+        setMarkers: function (data) {
+            markers.push(data);
+        }
+    };
+    var builder = new HttpQueryStringBuilder(transport).setBaseUri("/places");
+    return {search: new ViewportSearch(googleMap, builder), transport: transport, markers: markers};
+};
+
+test('search sets the bounds as query parameters and replaces the Markers with the response', function () {
+    var simulation = createSearch({north: 47.7, south: 47.5, east: -122.2, west: -122.4});
+    simulation.search.setResponseMapper(function (data) {
+        return data.places;
+    });
+    simulation.search.search();
+
+    assert.strictEqual(simulation.transport.requests.length, 1);
+    assert.strictEqual(simulation.transport.requests[0].settings.url,
+        "/places?north=47.700000&south=47.500000&east=-122.200000&west=-122.400000");
+
+    simulation.transport.requests[0].respond({places: [{id: 1}]});
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(simulation.markers, [[{id: 1}]]);
+    });
+});
+
+test('search ignores the response of a superseded search', function () {
+    var simulation = createSearch({north: 1, south: 0, east: 1, west: 0});
+    simulation.search.search();
+    simulation.search.search();
+    simulation.transport.requests[0].respond([{id: "old"}]);
+    simulation.transport.requests[1].respond([{id: "new"}]);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(simulation.markers, [[{id: "new"}]]);
+    });
+});
+
+test('search replaces stale cached Markers with the revalidated response', function () {
+    var simulation = createSearch({north: 1, south: 0, east: 1, west: 0});
+    var builder = simulation.search.queryStringBuilder;
+    var fromCache = [];
+    simulation.search.setSuccessCallback(function (data, status, xhr, isFromCache) {
+        fromCache.push(isFromCache);
+    });
+    builder.enableCache(10, 60000, true);
+    simulation.search.search();
+    simulation.transport.requests[0].respond([{id: "stale"}]);
+    return fakeTransport.flush().then(function () {
+        // Expire the cached response
+        builder.cache.getEntry(builder.buildUri()).storedAt = 0;
+        simulation.search.search();
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(simulation.markers, [[{id: "stale"}], [{id: "stale"}]]);
+
+        simulation.transport.requests[1].respond([{id: "fresh"}]);
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(simulation.markers, [[{id: "stale"}], [{id: "stale"}], [{id: "fresh"}]]);
+        assert.deepStrictEqual(fromCache, [false, true, false]);
+    });
+});
+
+test('search does not apply the revalidated response once another search was sent', function () {
+    var simulation = createSearch({north: 1, south: 0, east: 1, west: 0});
+    var builder = simulation.search.queryStringBuilder;
+    builder.enableCache(10, 60000, true);
+    simulation.search.search();
+    simulation.transport.requests[0].respond([{id: "stale"}]);
+    return fakeTransport.flush().then(function () {
+        builder.cache.getEntry(builder.buildUri()).storedAt = 0;
+        simulation.search.search();
+        return fakeTransport.flush();
+    }).then(function () {
+        simulation.search.cancel();
+        simulation.transport.requests[1].respond([{id: "fresh"}]);
+        return fakeTransport.flush();
+    }).then(function () {
+        assert.deepStrictEqual(simulation.markers, [[{id: "stale"}], [{id: "stale"}]]);
+    });
+});
+
+test('search reports errors but not cancelled searches', function () {
+    var simulation = createSearch({north: 1, south: 0, east: 1, west: 0});
+    var errors = [];
+    simulation.search.setErrorCallback(function (xhr, textStatus) {
+        errors.push(textStatus);
+    });
+    simulation.search.search();
+    simulation.search.cancel();
+    simulation.search.search();
+    simulation.transport.requests[1].fail(500);
+    return fakeTransport.flush().then(function () {
+        assert.deepStrictEqual(errors, ["error"]);
+        assert.deepStrictEqual(simulation.markers, []);
+    });
+});
+
+test('hasViewportChanged only detects pans and zooms beyond the minimumPanRatio', function () {
+    var search = createSearch(null).search;
+    search.lastSearchBounds = {north: 10, south: 0, east: 10, west: 0};
+
+    assert.strictEqual(search.hasViewportChanged({north: 11, south: 1, east: 10, west: 0}), false);
+    assert.strictEqual(search.hasViewportChanged({north: 13, south: 3, east: 10, west: 0}), true);
+    assert.strictEqual(search.hasViewportChanged({north: 12, south: -2, east: 10, west: 0}), true);
+    assert.strictEqual(search.hasViewportChanged({north: 10, south: 0, east: 11, west: 1}), false);
+});
+
+test('getLongitudeSpan accounts for the antimeridian', function () {
+    assert.strictEqual(ViewportSearch.getLongitudeSpan(170, -170), 20);
+    assert.strictEqual(ViewportSearch.getLongitudeSpan(-10, 10), 20);
+});